@@ -2,35 +2,291 @@
 
 const fs = require('fs');
 const path = require('path');
-const { query } = require('@anthropic-ai/claude-code');
 
-// Resolve Claude Code CLI executable
-const CLAUDE_EXEC = (() => {
-  if (process.env.CLAUDE_CODE_EXECUTABLE) return process.env.CLAUDE_CODE_EXECUTABLE;
-  if (process.env.CLAUDE_PATH) return process.env.CLAUDE_PATH;
-  try {
-    // Preferred: package entrypoint
-    return require.resolve('@anthropic-ai/claude-code/entrypoints/cli.js');
-  } catch (e1) {
+// Configuration - .agent/agent.config.json merged over defaults, then env overrides
+const CONFIG_FILE = process.env.RALPHIO_CONFIG || './.agent/agent.config.json';
+
+const DEFAULT_CONFIG = {
+  paths: {
+    agentDir: './.agent',
+    memoryFile: './.agent/memory.md',
+    planFile: './.agent/planning.md',
+    promptFile: './.agent/prompt.md',
+    promptsDir: './.agent/prompts', // Project overrides of the prompts shipped in src/prompts/
+    artifactsDir: './.agent/artifacts/loops',
+    logsDir: './.agent/logs',
+    stateFile: './.agent/state.json',
+    controlFile: './.agent/control.json', // Pause/stop/skip requests from the dashboard (ralphio serve)
+    pluginsDir: './.agent/plugins' // JS modules implementing hooks (see hooks)
+  },
+  loop: {
+    timeoutMs: 600000, // 10 minutes; a task can set its own with "(timeout: 30m)"
+    idleTimeoutMs: 300000, // Abort a loop when the agent sends nothing for this long (null = never)
+    maxRepeatedToolCalls: 5, // Abort a loop that makes the same tool call this many times in a row (null = never)
+    maxIterations: 50,
+    maxConsecutiveFailures: 3,
+    maxTaskAttempts: 3, // Failed loops on one task before it is marked - [!] (blocked) and skipped
+    maxTurns: 200,
+    resumeOnTimeout: true
+  },
+  commands: {
+    build: null, // null = detected from the project (Makefile, package.json, Cargo.toml, go.mod, pyproject.toml)
+    test: null,
+    lint: null
+  },
+  verify: {
+    commands: [], // e.g. ["npm run build", "npm test"] - run by ralphio after every loop
+    requireTaskChecked: true, // The picked task must go from - [ ] to - [x]
+    onFailure: 'flag', // 'flag' keeps the work uncommitted for the next loop to fix, 'rollback' resets to the pre-loop commit
+    timeoutMs: 300000
+  },
+  hooks: {
+    // Shell commands per lifecycle hook; each gets the hook's payload as JSON on stdin
+    beforeRun: [], // Non-zero exit: the run ends before its first loop
+    beforeLoop: [], // Non-zero exit: the loop fails before the agent starts (e.g. to veto a task)
+    onMessage: [], // Every text, tool_use and tool_result message of the agent - keep these fast
+    afterLoop: [],
+    beforeCommit: [], // After verification, before the auto-commit; non-zero exit: the loop fails
+    afterRun: [],
+    timeoutMs: 60000 // Per command or plugin function
+  },
+  git: {
+    taskBranches: false, // Opt-in: each task on its own branch, merged only on verified success
+    branchPrefix: 'ralphio/',
+    baseBranch: null, // null = the branch checked out when the loop starts
+    merge: 'ff-only' // or 'no-ff' for a merge commit per task
+  },
+  commit: {
+    subjectTemplate: '{type}: {title}', // Also available: {taskId}
+    defaultType: 'chore' // Used when the task has no [TEST]/[IMPLEMENT] marker
+  },
+  budget: {
+    maxCostUsd: null, // Stop --until-success once the run has cost this much
+    maxTokens: null // ...or used this many tokens (input + output + cache)
+  },
+  agent: {
+    runner: 'claude', // claude (Claude Code SDK) | command (any JSONL-speaking CLI) | scripted (offline fake)
+    command: null, // command runner: executable to spawn; the prompt goes to its stdin
+    args: [], // ...its arguments; {maxTurns}, {sessionId} and {taskId} are filled in
+    resumeArgs: [], // ...extra arguments when resuming a session, e.g. ["--resume", "{sessionId}"]
+    script: null // scripted runner: JSON file with the loops to play
+  },
+  interrupt: {
+    currentLoop: 'abort', // First Ctrl-C/SIGTERM: 'abort' stops the agent now, 'finish' lets the loop end on its own
+    partialWork: 'stash' // An aborted loop's uncommitted work: 'stash', 'commit' (a wip: commit) or 'keep' (left in the tree)
+  },
+  serve: {
+    host: '127.0.0.1', // ralphio serve - keep it local unless you mean to share it
+    port: 4747
+  },
+  issues: {
+    repo: null, // owner/name - read by "ralphio import github", and where completed tasks are reported
+    apiUrl: 'https://api.github.com', // Any GitHub-compatible API (GitHub Enterprise, a local mock)
+    tokenEnv: 'GITHUB_TOKEN', // Environment variable holding the API token
+    onComplete: 'comment' // A loop completed an imported task: 'comment' on its issue, 'close' it too, or 'off'
+  },
+  memory: {
+    maxPromptChars: 6000, // Learnings sent per loop prompt - the most relevant to the task go first
+    staleAfterDays: null, // "ralphio memory compact" drops learnings older than this (null = keep them)
+    pinnedSections: ['Stack Discovery'] // memory.md sections always sent in full and never compacted
+  }
+};
+
+// Value types for settings that may be null (for ones whose default is null, anything else is a string)
+const CONFIG_NULLABLE_TYPES = {
+  'loop.idleTimeoutMs': 'number',
+  'loop.maxRepeatedToolCalls': 'number',
+  'budget.maxCostUsd': 'number',
+  'budget.maxTokens': 'number',
+  'memory.staleAfterDays': 'number'
+};
+
+// Config keys limited to a fixed set of values
+const CONFIG_CHOICES = {
+  'verify.onFailure': ['flag', 'rollback'],
+  'git.merge': ['ff-only', 'no-ff'],
+  'agent.runner': ['claude', 'command', 'scripted'],
+  'interrupt.currentLoop': ['abort', 'finish'],
+  'interrupt.partialWork': ['stash', 'commit', 'keep'],
+  'issues.onComplete': ['comment', 'close', 'off']
+};
+
+// Environment variable -> config key. Env wins over the config file.
+const ENV_OVERRIDES = {
+  LOOP_TIMEOUT_MS: 'loop.timeoutMs',
+  RALPHIO_IDLE_TIMEOUT_MS: 'loop.idleTimeoutMs',
+  RALPHIO_MAX_REPEATED_TOOL_CALLS: 'loop.maxRepeatedToolCalls',
+  RALPHIO_MAX_ITERATIONS: 'loop.maxIterations',
+  RALPHIO_MAX_CONSECUTIVE_FAILURES: 'loop.maxConsecutiveFailures',
+  RALPHIO_MAX_TASK_ATTEMPTS: 'loop.maxTaskAttempts',
+  RALPHIO_MAX_TURNS: 'loop.maxTurns',
+  RALPHIO_MAX_COST_USD: 'budget.maxCostUsd',
+  RALPHIO_MAX_TOKENS: 'budget.maxTokens',
+  RALPHIO_RUNNER: 'agent.runner',
+  RALPHIO_AGENT_SCRIPT: 'agent.script',
+  RALPHIO_MEMORY_MAX_CHARS: 'memory.maxPromptChars',
+  RALPHIO_MEMORY_FILE: 'paths.memoryFile',
+  RALPHIO_PLAN_FILE: 'paths.planFile',
+  RALPHIO_PROMPT_FILE: 'paths.promptFile',
+  RALPHIO_BUILD_COMMAND: 'commands.build',
+  RALPHIO_TEST_COMMAND: 'commands.test',
+  RALPHIO_LINT_COMMAND: 'commands.lint',
+  RALPHIO_ISSUES_REPO: 'issues.repo',
+  RALPHIO_ISSUES_API_URL: 'issues.apiUrl'
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Deep merge that never shares nested objects with `base` (DEFAULT_CONFIG stays untouched)
+function mergeConfig(base, override) {
+  const merged = {};
+  for (const [key, value] of Object.entries(base)) {
+    merged[key] = isPlainObject(value) ? mergeConfig(value, {}) : value;
+  }
+  for (const [key, value] of Object.entries(override || {})) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeConfig(base[key], value)
+      : value;
+  }
+  return merged;
+}
+
+// Check a user-supplied config against the shape of DEFAULT_CONFIG.
+// Returns a list of problems; unknown keys only warn so newer configs still load.
+function validateConfig(userConfig, defaults = DEFAULT_CONFIG, prefix = '') {
+  const problems = [];
+
+  for (const [key, value] of Object.entries(userConfig)) {
+    const keyPath = prefix + key;
+    if (!(key in defaults)) {
+      console.warn(`⚠️ Unknown config key "${keyPath}" in ${CONFIG_FILE} - ignoring`);
+      continue;
+    }
+
+    const expected = defaults[key];
+    if (value === null && CONFIG_NULLABLE_TYPES[keyPath]) {
+      // Switched off
+    } else if (expected === null) {
+      // Optional setting - null or a value of its declared type
+      if (CONFIG_NULLABLE_TYPES[keyPath] === 'number') {
+        if (value !== null && (typeof value !== 'number' || !(value > 0))) {
+          problems.push(`"${keyPath}" must be null or a positive number`);
+        }
+      } else if (value !== null && (typeof value !== 'string' || !value.trim())) {
+        problems.push(`"${keyPath}" must be null or a non-empty string`);
+      }
+    } else if (isPlainObject(expected)) {
+      if (!isPlainObject(value)) {
+        problems.push(`"${keyPath}" must be an object`);
+      } else {
+        problems.push(...validateConfig(value, expected, keyPath + '.'));
+      }
+    } else if (typeof expected === 'number') {
+      if (!Number.isInteger(value) || value <= 0) {
+        problems.push(`"${keyPath}" must be ${CONFIG_NULLABLE_TYPES[keyPath] ? 'null or ' : ''}a positive integer`);
+      }
+    } else if (typeof expected === 'string') {
+      if (typeof value !== 'string' || !value.trim()) {
+        problems.push(`"${keyPath}" must be a non-empty string`);
+      }
+    } else if (typeof expected === 'boolean') {
+      if (typeof value !== 'boolean') {
+        problems.push(`"${keyPath}" must be true or false`);
+      }
+    } else if (Array.isArray(expected)) {
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+        problems.push(`"${keyPath}" must be an array of non-empty strings`);
+      }
+    }
+
+    if (CONFIG_CHOICES[keyPath] && !CONFIG_CHOICES[keyPath].includes(value)) {
+      problems.push(`"${keyPath}" must be one of: ${CONFIG_CHOICES[keyPath].join(', ')}`);
+    }
+  }
+
+  return problems;
+}
+
+function applyEnvOverrides(config) {
+  for (const [envName, keyPath] of Object.entries(ENV_OVERRIDES)) {
+    const raw = process.env[envName];
+    if (!raw) continue;
+
+    const [section, key] = keyPath.split('.');
+    const isInteger = typeof DEFAULT_CONFIG[section][key] === 'number';
+    if (isInteger || CONFIG_NULLABLE_TYPES[keyPath] === 'number') {
+      const value = isInteger ? parseInt(raw, 10) : parseFloat(raw);
+      if (isNaN(value) || value <= 0) {
+        console.warn(`⚠️ Invalid ${envName}: ${raw}. Using ${config[section][key]}.`);
+        continue;
+      }
+      config[section][key] = value;
+    } else if (CONFIG_CHOICES[keyPath] && !CONFIG_CHOICES[keyPath].includes(raw)) {
+      console.warn(`⚠️ Invalid ${envName}: ${raw} (expected ${CONFIG_CHOICES[keyPath].join(', ')}). Using ${config[section][key]}.`);
+    } else {
+      config[section][key] = raw;
+    }
+  }
+  return config;
+}
+
+function loadConfig() {
+  let userConfig = {};
+
+  if (fs.existsSync(CONFIG_FILE)) {
     try {
-      // Fallback: older package name
-      return require.resolve('@anthropic-ai/entrypoints/cli.js');
-    } catch (e2) {
-      return null;
+      userConfig = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not parse ${CONFIG_FILE}: ${error.message}`);
+    }
+
+    if (!isPlainObject(userConfig)) {
+      throw new Error(`Invalid ${CONFIG_FILE}: top level must be a JSON object`);
+    }
+
+    const problems = validateConfig(userConfig);
+    if (problems.length > 0) {
+      throw new Error(`Invalid ${CONFIG_FILE}:\n   - ${problems.join('\n   - ')}`);
     }
   }
-})();
 
-if (!CLAUDE_EXEC) {
-  console.error('❌ Claude Code CLI not found. Install @anthropic-ai/claude-code or set CLAUDE_CODE_EXECUTABLE to the Node CLI path (…/@anthropic-ai/claude-code/entrypoints/cli.js)');
-  process.exit(1);
+  return applyEnvOverrides(mergeConfig(DEFAULT_CONFIG, userConfig));
+}
+
+let cachedConfig = null;
+
+function getConfig() {
+  if (!cachedConfig) {
+    cachedConfig = loadConfig();
+  }
+  return cachedConfig;
+}
+
+// Run state (.agent/state.json) - harness bookkeeping that must not live in memory.md
+function readState() {
+  const { stateFile } = getConfig().paths;
+  try {
+    return JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  } catch (error) {
+    return {}; // Missing or unreadable state just means a fresh start
+  }
+}
+
+function updateState(changes) {
+  const { stateFile } = getConfig().paths;
+  const state = { ...readState(), ...changes };
+  fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+  fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+  return state;
 }
 
 // Logging functionality
 function getLogFilePath() {
   const now = new Date();
   const dateStr = now.toISOString().split('T')[0]; // YYYY-MM-DD
-  const logsDir = './.agent/logs';
+  const logsDir = getConfig().paths.logsDir;
 
   // Ensure logs directory exists
   if (!fs.existsSync(logsDir)) {
@@ -60,697 +316,4586 @@ function logOutput(text, type = 'OUTPUT') {
   logToFile(cleanText, type);
 }
 
-
 const args = process.argv.slice(2);
 
-// Check if there are any unchecked tasks remaining
-function hasUnfinishedTasks() {
+// "--output json": the run is reported as NDJSON events on stdout - one JSON object per
+// line, each with `type` and `at` - and the human-readable output moves to stderr.
+// Event types and their fields are listed in the README ("Machine-Readable Output").
+const OUTPUT_MODES = ['text', 'json'];
+const outputMode = args.includes('--output') ? args[args.indexOf('--output') + 1] : 'text';
+
+// Every run also writes its events to <logsDir>/events.ndjson (started over by run_start),
+// which is what the dashboard streams.
+function emitEvent(event) {
+  const line = `${JSON.stringify({ type: event.type, at: new Date().toISOString(), ...event })}\n`;
+  if (outputMode === 'json') process.stdout.write(line);
   try {
-    // Try .agent/planning.md first (new portable format), fallback to planning.md
-    let planningPath = './.agent/planning.md';
-    if (!fs.existsSync(planningPath)) {
-      planningPath = './planning.md';
-      if (!fs.existsSync(planningPath)) {
-        logToFile('No planning.md found in .agent/ or root directory', 'WARNING');
-        return false;
-      }
-    }
+    const eventsFile = getEventsFile();
+    fs.mkdirSync(path.dirname(eventsFile), { recursive: true });
+    fs[event.type === 'run_start' ? 'writeFileSync' : 'appendFileSync'](eventsFile, line);
+  } catch (error) {
+    // Like logging, the event log must never break the run
+  }
+}
 
-    const planningContent = fs.readFileSync(planningPath, 'utf8');
-    // Look for unchecked tasks: - [ ]
-    const uncheckedTasks = planningContent.match(/^[ \t]*- \[ \]/gm);
+function getEventsFile() {
+  return path.join(getConfig().paths.logsDir, 'events.ndjson');
+}
 
-    if (uncheckedTasks && uncheckedTasks.length > 0) {
-      logToFile(`Found ${uncheckedTasks.length} unchecked tasks remaining in ${planningPath}`, 'INFO');
-      return true;
-    } else {
-      logToFile('No unchecked tasks found - all tasks completed!', 'SUCCESS');
-      return false;
+// Exit codes of a run (--once, --resume, --until-success). A signal adds a fourth
+// outcome: 128 + the signal number, so 130 for SIGINT and 143 for SIGTERM.
+const EXIT_CODES = {
+  complete: 0,
+  failed: 1, // The loop failed (--once), too many consecutive failures, or no task can ever become ready
+  maxIterations: 2,
+  budget: 3,
+  blocked: 4, // Everything else is done, but blocked (or skipped) tasks are left
+  stopped: 5 // Stopped from the dashboard
+};
+
+// The end of a run: a run_end event, the afterRun hooks, then the exit code. Never returns -
+// callers return (or await) it so nothing runs on while the hooks do.
+async function exitRun(exitCode, reason = null, { hooks = true } = {}) {
+  const outcome = Object.keys(EXIT_CODES).find(name => EXIT_CODES[name] === exitCode) || (exitCode > 128 ? 'interrupted' : 'failed');
+  const summary = { exitCode, outcome, reason, usage: { ...runUsage } };
+  emitEvent({ type: 'run_end', ...summary });
+  if (hooks && hasHookHandlers('afterRun')) await runHooks('afterRun', { summary });
+  process.exit(exitCode);
+}
+
+// Lifecycle hooks: the shell commands in the hooks config section, then the matching functions
+// of the JS plugins in paths.pluginsDir. Commands get the hook's payload as JSON on stdin
+// (plus RALPHIO_HOOK, RALPHIO_TASK_ID and RALPHIO_TASK_TEXT in the environment); plugin
+// functions get it as their argument and may be async.
+const HOOKS = ['beforeRun', 'beforeLoop', 'onMessage', 'afterLoop', 'beforeCommit', 'afterRun'];
+const BLOCKING_HOOKS = ['beforeRun', 'beforeLoop', 'beforeCommit']; // A failure stops what they run before; the others only warn
+const RUN_HOOKS = ['beforeRun', 'afterRun']; // In --parallel these are the coordinator's, not the workers'
+
+let cachedPlugins = null;
+
+// .js/.cjs modules in paths.pluginsDir, in file name order: [{ file, plugin }]
+function loadPlugins() {
+  if (cachedPlugins) return cachedPlugins;
+  const { pluginsDir } = getConfig().paths;
+  const plugins = [];
+  const files = fs.existsSync(pluginsDir) ? fs.readdirSync(pluginsDir).filter(file => /\.c?js$/.test(file)).sort() : [];
+
+  for (const name of files) {
+    const file = path.relative(process.cwd(), path.resolve(pluginsDir, name));
+    let plugin;
+    try {
+      plugin = require(path.resolve(pluginsDir, name));
+    } catch (error) {
+      throw new Error(`Could not load plugin ${file}: ${error.message}`);
     }
-  } catch (error) {
-    logToFile(`Error checking for unfinished tasks: ${error.message}`, 'ERROR');
-    return false; // Assume no tasks if we can't read the file
+    if (!plugin || typeof plugin !== 'object') {
+      throw new Error(`Plugin ${file} must export an object with hook functions (${HOOKS.join(', ')})`);
+    }
+    const unknown = Object.keys(plugin).filter(key => typeof plugin[key] === 'function' && !HOOKS.includes(key));
+    if (unknown.length > 0) {
+      console.warn(`⚠️ Plugin ${file}: ${unknown.join(', ')} is not a hook - ignoring (hooks: ${HOOKS.join(', ')})`);
+    }
+    plugins.push({ file, plugin });
   }
+
+  if (plugins.length > 0) logToFile(`Loaded plugins: ${plugins.map(({ file }) => file).join(', ')}`, 'INFO');
+  cachedPlugins = plugins;
+  return plugins;
 }
 
-// Get timeout from environment variable (default: 2 minutes)
-function getTimeout() {
-  const envTimeout = process.env.LOOP_TIMEOUT_MS;
-  if (envTimeout) {
-    const timeout = parseInt(envTimeout, 10);
-    if (isNaN(timeout) || timeout <= 0) {
-      console.warn(`⚠️ Invalid LOOP_TIMEOUT_MS: ${envTimeout}. Using default 600000ms.`);
-      return 600000;
-    }
-    return timeout;
+// What runs for a hook: [{ label, run(payload) }], where run() returns a failure or null
+function getHookHandlers(name) {
+  if (RUN_HOOKS.includes(name) && process.env.RALPHIO_PARALLEL_WORKER) return [];
+  const handlers = getConfig().hooks[name].map(command => ({
+    label: `"${command}"`,
+    run: (payload) => runHookCommand(name, command, payload)
+  }));
+  for (const { file, plugin } of loadPlugins()) {
+    if (typeof plugin[name] !== 'function') continue;
+    handlers.push({
+      label: `in ${file}`,
+      // A function can't be killed: on timeout it is no longer waited for, and the AbortSignal
+      // in its second argument tells it to stop
+      run: async (payload) => {
+        const { timeoutMs } = getConfig().hooks;
+        const controller = new AbortController();
+        let timer;
+        const timeout = new Promise((resolve) => {
+          timer = setTimeout(() => {
+            controller.abort(new Error(`${name} hook timed out after ${timeoutMs}ms`));
+            resolve({ reason: `timed out after ${timeoutMs}ms`, output: '' });
+          }, timeoutMs);
+        });
+        try {
+          return await Promise.race([Promise.resolve(plugin[name](payload, { signal: controller.signal })).then(() => null), timeout]);
+        } finally {
+          clearTimeout(timer);
+        }
+      }
+    });
   }
-  return 600000; // Default 2 minutes
+  return handlers;
 }
 
-// Timeout wrapper for SDK calls
-function withTimeout(promise, timeoutMs) {
-  return Promise.race([
-    promise,
-    new Promise((_, reject) => {
-      setTimeout(() => {
-        reject(new Error(`Operation timed out after ${timeoutMs}ms`));
-      }, timeoutMs);
-    })
-  ]);
+function hasHookHandlers(name) {
+  try {
+    return getHookHandlers(name).length > 0;
+  } catch (error) {
+    return true; // A plugin that doesn't load - runHooks() reports it
+  }
 }
 
-function printHelp() {
-  console.log(`RALPHIO - One task per loop agent orchestrator
+// Asynchronous, so a slow hook doesn't hold up the watchdog timers or signal handling
+async function runHookCommand(name, command, payload) {
+  const { spawn } = require('child_process');
+  const task = payload.task || null;
+  const { timeoutMs } = getConfig().hooks;
+  // Its own process group, so a timeout also stops what the command started
+  const ownGroup = process.platform !== 'win32';
+  const child = spawn(command, {
+    shell: true,
+    stdio: ['pipe', 'pipe', 'pipe'],
+    detached: ownGroup,
+    env: { ...process.env, RALPHIO_HOOK: name, RALPHIO_TASK_ID: task ? task.id : '', RALPHIO_TASK_TEXT: task ? task.text : '' }
+  });
+  const kill = (signal) => {
+    try {
+      if (ownGroup) process.kill(-child.pid, signal);
+      else child.kill(signal);
+    } catch (error) {
+      // Already gone
+    }
+  };
+
+  let output = '';
+  const collect = (chunk) => {
+    output = (output + chunk).slice(-20000);
+  };
+  child.stdout.setEncoding('utf8').on('data', collect);
+  child.stderr.setEncoding('utf8').on('data', collect);
+  child.stdin.on('error', () => {}); // EPIPE if the command never reads its stdin
+  child.stdin.end(JSON.stringify(payload));
+
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    kill('SIGTERM');
+    setTimeout(() => kill('SIGKILL'), 5000).unref();
+  }, timeoutMs);
+  const { code, signal, error } = await new Promise((resolve) => {
+    child.on('error', error => resolve({ error }));
+    child.on('close', (code, signal) => resolve({ code, signal }));
+  });
+  clearTimeout(timer);
+
+  if (error) output += `\n${error.message}`;
+  if (output.trim()) logToFile(`Hook ${name} "${command}": ${output.trim()}`, 'DEBUG');
+  if (code === 0 && !timedOut) return null;
+  let reason = `failed (${signal ? `killed by ${signal}` : `exit code ${code}`})`;
+  if (timedOut) reason = `timed out after ${timeoutMs}ms`;
+  if (error) reason = `could not start: ${error.message}`;
+  return { reason, output: output.slice(-4000) };
+}
 
-Usage:
-  ralphio --once              Run single task iteration
-  ralphio --until-success     Run until all tasks complete or failure limit reached
-  ralphio --parse-prd <file>  Parse PRD and generate tasks in planning.md
-  ralphio init                Initialize .agent/ structure with template files
-  ralphio --version           Show version number
-  ralphio --help              Show this help message
+// Run a hook's commands and plugin functions in order. For a blocking hook the first failure
+// stops the rest and is returned as { reason, output }; otherwise failures are warnings and
+// the result is null.
+async function runHooks(name, payload = {}) {
+  const blocking = BLOCKING_HOOKS.includes(name);
+  const fail = (reason, output = '') => {
+    if (blocking) {
+      logToFile(reason, 'ERROR');
+      return { reason, output };
+    }
+    console.warn(`⚠️ ${reason}`);
+    logToFile(reason, 'WARNING');
+    return null;
+  };
 
-Options:
-  --once                      Execute one task and exit
-  --until-success             Continue executing tasks until completion or failure
-  --parse-prd <file>          Parse a PRD file and append tasks to planning.md
-  init                        Initialize project with .agent/ structure and templates
-  --version                   Display version information
-  --help                      Display this help message`);
+  let handlers;
+  try {
+    handlers = getHookHandlers(name);
+  } catch (error) {
+    return fail(`${name} hook: ${error.message}`);
+  }
+
+  for (const handler of handlers) {
+    let failure;
+    try {
+      failure = await handler.run({ hook: name, ...payload });
+    } catch (error) {
+      failure = { reason: `failed: ${error.message}`, output: error.stack || '' };
+    }
+    if (failure) {
+      const result = fail(`${name} hook ${handler.label} ${failure.reason}`, failure.output);
+      if (result) return result;
+    }
+  }
+  return null;
 }
 
-function printVersion() {
-  const pkg = require('./package.json');
-  console.log(`ralphio v${pkg.version}`);
+// The start of a run: a run_start event, then the beforeRun hooks - which can end the run
+// before its first loop
+async function startRun(event) {
+  emitEvent({ type: 'run_start', ...event });
+  const failure = await runHooks('beforeRun', { mode: event.mode, selection: event.selection });
+  if (failure) {
+    console.error(`❌ ${failure.reason}${failure.output.trim() ? `\n${failure.output.trim()}` : ''}`);
+    await exitRun(EXIT_CODES.failed, failure.reason);
+  }
 }
 
-async function initializeAgentStructure() {
-  const agentDir = './.agent';
+// An error that escaped the run loop ends the run like any other failure, not with a stack trace
+function failRun(error) {
+  console.error(`❌ RALPHIO failed: ${error.message}`);
+  logToFile(`Run failed: ${error.stack || error.message}`, 'ERROR');
+  return exitRun(EXIT_CODES.failed, error.message);
+}
 
-  try {
-    // Check if .agent directory already exists
-    if (fs.existsSync(agentDir)) {
-      console.log('⚠️  .agent/ directory already exists. Skipping initialization...');
-      return;
-    }
+// Planning model - planning.md <-> task tree
+//
+// parsePlan() keeps every original line, so serializePlan() round-trips the file
+// byte for byte; edits go through the line array (see setTaskStatus()).
+// Task ids are hierarchical positions: "2" is the second top-level task, "2.1" its first subtask.
+
+const TASK_LINE = /^([ \t]*)- \[([ xX!])\] (.*)$/;
+const HEADING_LINE = /^(#{1,6})\s+(.*?)\s*#*$/;
+const FENCE_LINE = /^[ \t]*(```|~~~)/;
+const STATUS_MARKS = { todo: ' ', done: 'x', 'broken-down': 'x', blocked: '!' };
+const BLOCKED_NOTE = /^[ \t]*- Blocked after \d+ attempts?: /;
+const TASK_ID = /^\d+(\.\d+)*$/;
+const DEFAULT_PRIORITY = 2; // Untagged tasks rank as [P2]
+
+function indentWidth(indent) {
+  return indent.replace(/\t/g, '    ').length;
+}
 
-    console.log('🚀 Initializing RALPHIO agent structure...');
+// Story point suffix like "(1 story)" or "(2 stories)"
+function parseStoryPoints(text) {
+  const match = text.match(/\((\d+)\s+stor(?:y|ies)\)/i);
+  return match ? parseInt(match[1], 10) : null;
+}
 
-    // Create .agent directory
-    fs.mkdirSync(agentDir, { recursive: true });
-    console.log('✅ Created .agent/ directory');
+// Dependency annotation like "(depends: 1, 2.3)"
+function parseDependencies(text) {
+  const match = text.match(/\(depends(?: on)?:\s*([^)]*)\)/i);
+  if (!match) return [];
+  return match[1].split(/[\s,]+/).filter(id => TASK_ID.test(id));
+}
 
-    // Create subdirectories
-    fs.mkdirSync(path.join(agentDir, 'artifacts', 'loops'), { recursive: true });
-    fs.mkdirSync(path.join(agentDir, 'logs'), { recursive: true });
-    console.log('✅ Created subdirectories: artifacts/loops, logs');
-
-    // Create agent.config.json
-    const configContent = {
-      "paths": {
-        "agentDir": "./.agent",
-        "memoryFile": "./.agent/memory.md",
-        "planFile": "./.agent/planning.md",
-        "promptFile": "./.agent/prompt.md",
-        "artifactsDir": "./.agent/artifacts/loops",
-        "logsDir": "./.agent/logs"
-      }
-    };
-    fs.writeFileSync(
-      path.join(agentDir, 'agent.config.json'),
-      JSON.stringify(configContent, null, 2)
-    );
-    console.log('✅ Created agent.config.json with default paths');
+// Timeout annotation like "(timeout: 30m)" - ms, s, m or h - in milliseconds
+const TIMEOUT_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
 
-    // Create memory.md template
-    const memoryTemplate = `# MEMORY
+function parseTaskTimeout(text) {
+  const match = text.match(/\(timeout:\s*(\d+)\s*(ms|s|m|h)\)/i);
+  return match ? parseInt(match[1], 10) * TIMEOUT_UNITS[match[2].toLowerCase()] : null;
+}
 
-## Stack Discovery
-- **Stack**: [To be discovered on first run]
-- **Build Command**: [To be discovered]
-- **Type Check**: [To be discovered]
+// Priority tag [P0] (most urgent) to [P3]
+function parsePriority(text) {
+  const match = text.match(/\[P([0-3])\]/);
+  return match ? parseInt(match[1], 10) : null;
+}
 
-## Learnings
+// PRD source tag like "(prd: User accounts)" - the PRD section a --parse-prd task came from
+function parsePrdSource(text) {
+  const match = text.match(/\(prd:\s*([^)]*)\)/i);
+  return match ? match[1].trim() : null;
+}
 
-[Loop results and learnings will be recorded here automatically]
-`;
-    fs.writeFileSync(
-      path.join(agentDir, 'memory.md'),
-      memoryTemplate
-    );
-    console.log('✅ Created memory.md template');
+// Issue tag like "(issue: #12)" - the GitHub issue an imported task tracks
+function parseIssueNumber(text) {
+  const match = text.match(/\(issue:\s*#(\d+)\)/i);
+  return match ? parseInt(match[1], 10) : null;
+}
 
-    // Create planning.md template (main task file)
-    const planTemplate = `# Planning - Sample Tasks
+// Split the text after the checkbox into its parts
+function parseTaskText(text) {
+  const markers = [...text.matchAll(/\[([A-Z][A-Z_-]*)\]/g)].map(match => match[1]);
+  const commentMatch = text.match(/\s+#\s+(.*)$/);
+  const brokenDown = /\(broken down\)/i.test(text);
+
+  const title = text
+    .replace(/\s+#\s+.*$/, '')
+    .replace(/\((\d+)\s+stor(?:y|ies)\)/gi, '')
+    .replace(/\(broken down\)/gi, '')
+    .replace(/\(depends(?: on)?:[^)]*\)/gi, '')
+    .replace(/\(timeout:[^)]*\)/gi, '')
+    .replace(/\(prd:[^)]*\)/gi, '')
+    .replace(/\(issue:\s*#\d+\)/gi, '')
+    .replace(/\[P[0-3]\]/g, '')
+    .replace(/\[([A-Z][A-Z_-]*)\]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return {
+    title,
+    points: parseStoryPoints(text),
+    priority: parsePriority(text),
+    dependsOn: parseDependencies(text),
+    timeoutMs: parseTaskTimeout(text),
+    prdSection: parsePrdSource(text),
+    issue: parseIssueNumber(text),
+    markers,
+    comment: commentMatch ? commentMatch[1].trim() : null,
+    brokenDown
+  };
+}
 
-## Getting Started
-- [ ] Run npm run build to verify project setup
-- [ ] Create a simple hello.txt file with greeting message
-- [ ] Add a test comment to demonstrate edit functionality
+function parsePlan(content) {
+  const lines = content.split('\n');
+  const tasks = [];
+  const roots = [];
+  const sections = [];
+  const stack = []; // Open ancestors, innermost last
+  let section = null;
+  let inFence = false;
 
-## Notes
-- Each task should be 1-2 story points (simple, focused changes)
-- Tasks are processed one at a time by RALPHIO
-- Mark tasks with \`- [ ]\` for unchecked, \`- [x]\` when complete
-- Parent tasks can have child subtasks with same indentation
-`;
-    fs.writeFileSync(
-      path.join(agentDir, 'planning.md'),
-      planTemplate
-    );
-    console.log('✅ Created planning.md with sample tasks');
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.replace(/\r$/, '');
 
-    // Create prompt.md by reading from the external file
-    // Try multiple possible locations for the prompt file
-    const possiblePaths = [
-      path.join(__dirname, 'src', 'prompts', 'system_prompt_tdd.md'),
-      path.join(process.cwd(), 'node_modules', 'ralphio', 'src', 'prompts', 'system_prompt_tdd.md')
-    ];
+    if (FENCE_LINE.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) return;
 
-    // Try to find via require.resolve if this is an installed package
-    try {
-      const ralphioPath = require.resolve('ralphio');
-      possiblePaths.push(path.join(path.dirname(ralphioPath), 'src', 'prompts', 'system_prompt_tdd.md'));
-    } catch (e) {
-      // Not installed as package, that's ok
+    const heading = line.match(HEADING_LINE);
+    if (heading) {
+      section = { title: heading[2], level: heading[1].length, line: index, tasks: [] };
+      sections.push(section);
+      stack.length = 0; // Headings end any nesting
+      return;
     }
 
-    let promptTemplate = '';
-    let foundPath = null;
+    const match = line.match(TASK_LINE);
+    if (!match) return;
 
-    for (const promptPath of possiblePaths) {
-      try {
-        if (fs.existsSync(promptPath)) {
-          promptTemplate = fs.readFileSync(promptPath, 'utf8');
-          foundPath = promptPath;
-          console.log(`✅ Read prompt template from: ${path.relative(process.cwd(), promptPath)}`);
-          break;
-        }
-      } catch (e) {
-        // Try next path
-      }
+    const indent = match[1];
+    while (stack.length > 0 && indentWidth(stack[stack.length - 1].indent) >= indentWidth(indent)) {
+      stack.pop();
     }
+    const parent = stack.length > 0 ? stack[stack.length - 1] : null;
+    const siblings = parent ? parent.children : roots;
+    const parts = parseTaskText(match[3]);
+    const checked = match[2] === 'x' || match[2] === 'X';
+
+    const task = {
+      id: parent ? `${parent.id}.${siblings.length + 1}` : String(siblings.length + 1),
+      parent: parent ? parent.id : null,
+      section: section ? section.title : null,
+      status: match[2] === '!' ? 'blocked' : !checked ? 'todo' : parts.brokenDown ? 'broken-down' : 'done',
+      text: match[3].trim(),
+      ...parts,
+      indent,
+      mark: match[2],
+      line: index,
+      endLine: index + 1, // Exclusive; widened below to cover children and notes
+      children: [],
+      notes: []
+    };
 
-    if (!foundPath) {
-      // Fallback to a minimal but functional template if file doesn't exist
-      console.warn('⚠️  system_prompt_tdd.md not found in any expected location');
-      console.warn('   Searched paths:', possiblePaths.map(p => path.relative(process.cwd(), p)).join(', '));
-      // Use the embedded prompt template from src/prompts/system_prompt_tdd.md
-      promptTemplate = `# RALPHIO - ONE TASK PER LOOP WITH TDD SUPPORT - STRICT RULES
-## 🛑 STOP AND READ THIS FIRST
-IMPLEMENTATION PLAN: .agent/planning.md
-
-You get ONE task per loop. Not two. Not three. ONE.
-If you do multiple tasks, you have FAILED.
+    siblings.push(task);
+    tasks.push(task);
+    if (section) section.tasks.push(task);
+    stack.push(task);
+  });
+
+  // A task's block runs over every following line indented deeper than it
+  // (blank lines included when the block continues after them)
+  for (const task of tasks) {
+    let end = task.line + 1;
+    let scan = end;
+    while (scan < lines.length) {
+      const line = lines[scan].replace(/\r$/, '');
+      if (!line.trim()) {
+        scan++;
+        continue;
+      }
+      if (HEADING_LINE.test(line) || indentWidth(line.match(/^[ \t]*/)[0]) <= indentWidth(task.indent)) break;
+      end = ++scan;
+    }
+    task.endLine = end;
+  }
 
-## THE ONLY PROCESS YOU FOLLOW:
-### Step 0: ALWAYS READ MEMORY FIRST (CRITICAL!)
-- Read .agent/memory.md
-- This contains learnings from previous loops - don't repeat mistakes!
+  // Notes are the non-task lines of a block that don't belong to a child
+  const byLine = new Map(tasks.map(task => [task.line, task]));
+  for (const task of tasks) {
+    for (let index = task.line + 1; index < task.endLine; index++) {
+      const child = byLine.get(index);
+      if (child) {
+        index = child.endLine - 1;
+      } else if (lines[index].trim()) {
+        task.notes.push(lines[index].replace(/\r$/, '').trim());
+      }
+    }
+  }
 
-### Step 1: Read the plan AND EVALUATE TASK SIZE
-- Find the FIRST task in .agent/planning.md marked with \`- [ ]\`
-- Remember the EXACT text of this task
-- That is your ONLY task for this loop
+  return { lines, tasks, roots, sections };
+}
 
-### Step 2: DETERMINE APPROACH - TDD OR REGULAR
-**Decision: Does this task create/modify functionality that should have tests?**
-- **YES** → Features, APIs, business logic → Go to Step 2A (TDD Mode)
-- **NO** → Config, dependencies, CSS, docs → Go to Step 2B (Regular Mode)
+function serializePlan(plan) {
+  return plan.lines.join('\n');
+}
 
-#### Step 2A: TDD MODE
-**If task lacks [TEST] or [IMPLEMENT] marker:**
-1. Write tests that will FAIL
-2. Run tests - confirm they FAIL
-3. Commit tests: \`git commit -m "test: {task}"\`
-4. Mark task complete and add [IMPLEMENT] task
-5. STOP - Do NOT implement yet
+function formatTaskLine(task) {
+  return `${task.indent}- [${task.mark}] ${task.text}`;
+}
 
-**If task has [IMPLEMENT] marker:**
-1. Write code to pass tests
-2. Run tests until ALL pass
-3. Run \`npm run build\` to verify
-4. Commit: \`git commit -m "feat: {task}"\`
-5. Mark task complete
-6. STOP
+// Change a task's checkbox (and "(broken down)" note) in place
+function setTaskStatus(plan, task, status) {
+  if (!(status in STATUS_MARKS)) {
+    throw new Error(`Unknown task status: ${status}`);
+  }
 
-#### Step 2B: REGULAR MODE
-1. Implement the task
-2. Run \`npm run build\` to verify
-3. Commit: \`git commit -m "chore: {task}"\`
-4. Continue to Step 3
+  let text = task.text.replace(/\s*\(broken down\)/i, '');
+  if (status === 'broken-down') text += ' (broken down)';
 
-### Step 3: Update the plan
-Use Edit tool to mark task complete in .agent/planning.md
+  const carriageReturn = plan.lines[task.line].endsWith('\r') ? '\r' : '';
+  task.text = text;
+  task.mark = STATUS_MARKS[status];
+  task.status = status;
+  task.brokenDown = status === 'broken-down';
+  plan.lines[task.line] = formatTaskLine(task) + carriageReturn;
+}
 
-### Step 4: Report and exit
-- Update memory.md if you learned something important
-- Your job is done for this loop
+function findTask(plan, id) {
+  return plan.tasks.find(task => task.id === id) || null;
+}
 
-[Note: Full prompt template not embedded - please ensure ralphio is properly installed]`;
-    }
+// Find a task again after the plan changed - ids shift when tasks get broken down,
+// the text doesn't
+function findTaskByText(plan, text) {
+  const baseText = (value) => value.replace(/\s*\(broken down\)/i, '');
+  return plan.tasks.find(task => baseText(task.text) === baseText(text)) || null;
+}
 
-    fs.writeFileSync(
-      path.join(agentDir, 'prompt.md'),
-      promptTemplate
-    );
-    console.log('✅ Created prompt.md with RALPHIO instructions');
+// A task is complete once it and all of its subtasks are checked (blocked doesn't count)
+function isTaskComplete(task) {
+  return (task.status === 'done' || task.status === 'broken-down') && task.children.every(isTaskComplete);
+}
 
-    console.log('\n🎉 RALPHIO initialization complete!');
-    console.log('📝 Next steps:');
-    console.log('   1. Edit {projectFolder}/.agent/planning.md to add your tasks');
-    console.log('   2. Run: ralphio --once (single task)');
-    console.log('   3. Or run: ralphio --until-success (all tasks)');
+function getAncestors(plan, task) {
+  const ancestors = [];
+  for (let parent = findTask(plan, task.parent); parent; parent = findTask(plan, parent.parent)) {
+    ancestors.push(parent);
+  }
+  return ancestors;
+}
 
-  } catch (error) {
-    console.error('❌ Failed to initialize agent structure:', error.message);
-    process.exit(1);
+// Dependency ids of the task (or any of its ancestors) that aren't complete yet.
+// Unknown ids count as unmet.
+function getUnmetDependencies(plan, task) {
+  const unmet = new Set();
+  for (const current of [task, ...getAncestors(plan, task)]) {
+    for (const id of current.dependsOn) {
+      const dependency = findTask(plan, id);
+      if (!dependency || !isTaskComplete(dependency)) unmet.add(id);
+    }
   }
+  return [...unmet];
 }
 
+// Own [Pn] tag, else the nearest tagged ancestor's, else DEFAULT_PRIORITY
+function getTaskPriority(plan, task) {
+  const tagged = [task, ...getAncestors(plan, task)].find(current => current.priority !== null);
+  return tagged ? tagged.priority : DEFAULT_PRIORITY;
+}
 
-// Parse PRD and generate tasks
-async function parsePRD(prdFile) {
-  try {
-    // Check if PRD file exists
-    if (!fs.existsSync(prdFile)) {
-      console.error(`❌ PRD file not found: ${prdFile}`);
-      return false;
-    }
+// Open, no open subtasks, and every dependency complete
+function isTaskReady(plan, task) {
+  return task.status === 'todo' &&
+    task.children.every(isTaskComplete) &&
+    getUnmetDependencies(plan, task).length === 0;
+}
 
-    // Ensure .agent structure exists
-    if (!fs.existsSync('.agent/planning.md')) {
-      console.error('❌ No .agent/planning.md found. Run "ralphio init" first.');
-      return false;
-    }
+// Tasks in scope for "--task <id|pattern>" / "--section <heading>": the matching tasks
+// plus their subtasks. Patterns and headings match case-insensitively on a substring.
+function selectTasks(plan, { task: taskSelector = null, section = null } = {}) {
+  let scope = plan.tasks;
 
-    // Read PRD content
-    const prdContent = fs.readFileSync(prdFile, 'utf8');
-    console.log(`📖 Reading PRD from ${prdFile}...`);
+  if (section) {
+    const needle = section.toLowerCase();
+    scope = scope.filter(task => task.section && task.section.toLowerCase().includes(needle));
+  }
 
-    // Read current planning.md to check existing tasks
-    const currentPlanning = fs.readFileSync('.agent/planning.md', 'utf8');
+  if (taskSelector) {
+    const needle = taskSelector.toLowerCase();
+    const matched = TASK_ID.test(taskSelector)
+      ? scope.filter(task => task.id === taskSelector)
+      : scope.filter(task => task.text.toLowerCase().includes(needle));
+    scope = scope.filter(task => matched.some(match => task.id === match.id || task.id.startsWith(`${match.id}.`)));
+  }
 
-    // Read the parse PRD prompt
-    // Try multiple possible locations for the prompt file
-    const possiblePrdPaths = [
-      path.join(__dirname, 'src', 'prompts', 'parse_prd_tdd_prompt.md'),
-      path.join(process.cwd(), 'node_modules', 'ralphio', 'src', 'prompts', 'parse_prd_tdd_prompt.md')
-    ];
+  return scope;
+}
 
-    // Try to find via require.resolve if this is an installed package
-    try {
-      const ralphioPath = require.resolve('ralphio');
-      possiblePrdPaths.push(path.join(path.dirname(ralphioPath), 'src', 'prompts', 'parse_prd_tdd_prompt.md'));
-    } catch (e) {
-      // Not installed as package, that's ok
+// Next task to work on: the most urgent ready task in the selection, ties going to file order.
+// `busy` holds the text of tasks that are already being worked on (--parallel).
+function findNextTask(plan, selection = {}, busy = new Set()) {
+  let next = null;
+  for (const task of selectTasks(plan, selection)) {
+    if (busy.has(task.text)) continue;
+    if (isTaskReady(plan, task) && (!next || getTaskPriority(plan, task) < getTaskPriority(plan, next))) {
+      next = task;
     }
+  }
+  return next;
+}
 
-    let parsePrompt = '';
-    let foundPrdPath = null;
+// Open tasks in the selection held back by unmet dependencies or blocked subtasks
+function findWaitingTasks(plan, selection = {}) {
+  return selectTasks(plan, selection)
+    .filter(task => task.status === 'todo')
+    .map(task => ({
+      task,
+      unmet: [
+        ...getUnmetDependencies(plan, task),
+        ...task.children.filter(child => child.status === 'blocked').map(child => child.id)
+      ]
+    }))
+    .filter(({ task, unmet }) => unmet.length > 0 && !task.children.some(child => child.status === 'todo'));
+}
 
-    for (const promptPath of possiblePrdPaths) {
-      try {
-        if (fs.existsSync(promptPath)) {
-          parsePrompt = fs.readFileSync(promptPath, 'utf8');
-          foundPrdPath = promptPath;
-          console.log(`✅ Read PRD prompt from: ${path.relative(process.cwd(), promptPath)}`);
-          break;
-        }
-      } catch (e) {
-        // Try next path
-      }
-    }
+function describeSelection({ task = null, section = null } = {}) {
+  const parts = [];
+  if (task) parts.push(`--task "${task}"`);
+  if (section) parts.push(`--section "${section}"`);
+  return parts.join(' ');
+}
+
+function countTasks(tasks) {
+  const counts = { total: tasks.length, todo: 0, done: 0, 'broken-down': 0, blocked: 0 };
+  for (const task of tasks) {
+    counts[task.status]++;
+  }
+  return counts;
+}
 
-    if (!foundPrdPath) {
-      // Fallback inline prompt if file doesn't exist
-      console.warn('⚠️  parse_prd_tdd_prompt.md not found in any expected location');
-      console.warn('   Searched paths:', possiblePrdPaths.map(p => path.relative(process.cwd(), p)).join(', '));
-      parsePrompt = `Analyze this PRD and generate development tasks. Each task should:
-- Be a single checkbox item: "- [ ] Task description"
-- Be atomic and focused (roughly 2 story points)
-- Follow KISS/DRY/YAGNI principles
-- Be actionable and specific
+// The plan the loops work on: paths.planFile (.agent/planning.md by default), else a
+// planning.md in the project root as older projects had it. When neither exists this is
+// paths.planFile, so callers check fs.existsSync() and name the configured file.
+function resolvePlanFile() {
+  const { planFile } = getConfig().paths;
+  if (!fs.existsSync(planFile) && fs.existsSync('./planning.md')) return './planning.md';
+  return planFile;
+}
 
-Current planning.md content for context (avoid duplicates):
-${currentPlanning}
+function readPlan(planFile = resolvePlanFile()) {
+  return parsePlan(fs.readFileSync(planFile, 'utf8'));
+}
 
-PRD Content:
-${prdContent}
+function writePlan(plan, planFile = resolvePlanFile()) {
+  fs.writeFileSync(planFile, serializePlan(plan));
+}
 
-Generate only the task list in markdown format, nothing else.`;
+// Check if there are any unchecked tasks remaining (within the --task/--section selection)
+function hasUnfinishedTasks(selection = {}) {
+  try {
+    const planningPath = resolvePlanFile();
+    if (!fs.existsSync(planningPath)) {
+      logToFile(`No plan file found at ${getConfig().paths.planFile} or in root directory`, 'WARNING');
+      return false;
     }
 
-    // Build the full prompt - ensure it asks for ONLY the task list
-    const fullPrompt = parsePrompt + '\n\nPRD Content:\n' + prdContent + '\n\nCurrent planning.md (for context - avoid duplicates):\n' + currentPlanning + '\n\nIMPORTANT: Output ONLY the task list in markdown format with story points. No explanations, no preamble, no tool calls.';
+    const { todo } = countTasks(selectTasks(readPlan(planningPath), selection));
 
-    console.log('🧠 Analyzing PRD and generating tasks...');
+    if (todo > 0) {
+      logToFile(`Found ${todo} unchecked tasks remaining in ${planningPath}`, 'INFO');
+      return true;
+    } else {
+      logToFile('No unchecked tasks found - all tasks completed!', 'SUCCESS');
+      return false;
+    }
+  } catch (error) {
+    logToFile(`Error checking for unfinished tasks: ${error.message}`, 'ERROR');
+    return false; // Assume no tasks if we can't read the file
+  }
+}
 
-    // Call Claude to parse PRD
-    let generatedTasks = '';
-    for await (const message of query({
-      prompt: fullPrompt,
-      options: {
-        permissionMode: 'bypassPermissions',
-        maxTurns: 1,
-        pathToClaudeCodeExecutable: CLAUDE_EXEC
-      }
-    })) {
-      if (message.type === "assistant" && message.message.content) {
-        for (const block of message.message.content) {
-          if (block.type === "text") {
-            generatedTasks += block.text;
-          }
+// Loop timeout: the task's own "(timeout: ...)", else its nearest annotated ancestor's,
+// else loop.timeoutMs (overridable via LOOP_TIMEOUT_MS)
+function getTimeout(plan = null, task = null) {
+  if (plan && task) {
+    const annotated = [task, ...getAncestors(plan, task)].find(current => current.timeoutMs !== null);
+    if (annotated) return annotated.timeoutMs;
+  }
+  return getConfig().loop.timeoutMs;
+}
+
+// How long an aborted session gets to wind down before the loop moves on without it
+const ABORT_GRACE_MS = 10000;
+
+// Guards one agent session. It aborts the session when it runs past timeoutMs, sends nothing
+// for idleTimeoutMs, or makes the same tool call maxRepeatedToolCalls times in a row. Aborting
+// the controller is what stops the agent: the SDK and command runners kill their process.
+function createSessionWatchdog({ abortController, timeoutMs, idleTimeoutMs, maxRepeatedToolCalls }) {
+  let stopReason = null;
+  let idleTimer = null;
+  let lastToolCall = null;
+  let repeats = 0;
+
+  const stop = (reason) => {
+    if (stopReason || abortController.signal.aborted) return;
+    stopReason = reason;
+    logToFile(`Watchdog: ${reason}`, 'WARNING');
+    abortController.abort();
+  };
+  const resetIdleTimer = () => {
+    if (!idleTimeoutMs) return;
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => stop(`Stalled: no agent messages for ${idleTimeoutMs}ms`), idleTimeoutMs);
+  };
+  const timeoutTimer = setTimeout(() => stop(`Operation timed out after ${timeoutMs}ms`), timeoutMs);
+  resetIdleTimer();
+
+  return {
+    // Abort the session from outside (Ctrl-C); wait() then rejects with the reason
+    stop,
+
+    // Call for every message the session yields
+    observe(message) {
+      resetIdleTimer();
+      if (!maxRepeatedToolCalls || !message || message.type !== 'assistant') return;
+
+      for (const block of messageContent(message)) {
+        if (block.type !== 'tool_use') continue;
+        const call = `${block.name} ${JSON.stringify(block.input)}`;
+        repeats = call === lastToolCall ? repeats + 1 : 1;
+        lastToolCall = call;
+        if (repeats >= maxRepeatedToolCalls) {
+          stop(`Stalled: ${block.name} called ${repeats} times in a row with the same input`);
         }
-      } else if (message.type === "result") {
-        // Final result
-        if (message.result) {
-          generatedTasks = message.result;
+      }
+    },
+
+    // The session's result. Once the session is aborted, waits up to ABORT_GRACE_MS for it
+    // to wind down - so nothing is still editing files when the next loop starts - and
+    // rejects with the reason.
+    async wait(sessionPromise) {
+      let graceTimer = null;
+      const aborted = new Promise(resolve => abortController.signal.addEventListener('abort', () => resolve(null), { once: true }));
+      try {
+        const finished = await Promise.race([sessionPromise.then(result => ({ result })), aborted]);
+        if (finished) return finished.result;
+
+        const settled = await Promise.race([
+          sessionPromise.then(() => true, () => true),
+          new Promise((resolve) => {
+            graceTimer = setTimeout(() => resolve(false), ABORT_GRACE_MS);
+          })
+        ]);
+        if (!settled) {
+          console.warn(`⚠️ The agent session did not stop within ${ABORT_GRACE_MS}ms of being aborted`);
+          logToFile('Aborted agent session did not stop in time', 'WARNING');
         }
+        throw new Error(stopReason || 'Agent session aborted');
+      } finally {
+        clearTimeout(timeoutTimer);
+        clearTimeout(idleTimer);
+        clearTimeout(graceTimer);
       }
     }
+  };
+}
 
-    if (!generatedTasks) {
-      console.error('❌ Failed to generate tasks from PRD');
-      return false;
+// Prompt templates. Each prompt is looked up in the project's paths.promptsDir first, then
+// among the prompts shipped in src/prompts/ (checkout, local node_modules, or installed
+// package) - a project overrides a shipped prompt with a file of the same name.
+function getPromptDirs() {
+  const dirs = [
+    { dir: getConfig().paths.promptsDir, layer: 'project' },
+    { dir: path.join(__dirname, 'src', 'prompts'), layer: 'package' },
+    { dir: path.join(process.cwd(), 'node_modules', 'ralphio', 'src', 'prompts'), layer: 'package' }
+  ];
+
+  // Try to find via require.resolve if this is an installed package
+  try {
+    dirs.push({ dir: path.join(path.dirname(require.resolve('ralphio')), 'src', 'prompts'), layer: 'package' });
+  } catch (e) {
+    // Not installed as package, that's ok
+  }
+  return dirs;
+}
+
+const promptFileName = (name) => (path.extname(name) ? name : `${name}.md`);
+
+// { name, path, layer, content } of the prompt that wins (of `onlyLayer`'s, if given), or null
+function findPrompt(name, onlyLayer = null) {
+  const fileName = promptFileName(name);
+  for (const { dir, layer } of getPromptDirs().filter(({ layer }) => !onlyLayer || layer === onlyLayer)) {
+    const promptPath = path.join(dir, fileName);
+    try {
+      if (fs.existsSync(promptPath)) {
+        return { name: fileName, path: promptPath, layer, content: fs.readFileSync(promptPath, 'utf8') };
+      }
+    } catch (e) {
+      // Try next path
     }
+  }
+  return null;
+}
 
-    // Append tasks to planning.md
-    const separator = '\n\n## Tasks from PRD (' + new Date().toISOString().split('T')[0] + ')\n';
-    fs.appendFileSync('.agent/planning.md', separator + generatedTasks + '\n');
+const announcedOverrides = new Set(); // Project prompts already mentioned on the console
 
-    console.log('✅ Tasks successfully added to .agent/planning.md');
-    console.log('📝 Review the tasks and run "ralphio --once" or "ralphio --until-success" to start implementation');
+function loadPrompt(name) {
+  const prompt = findPrompt(name);
+  if (!prompt) {
+    const searched = [...new Set(getPromptDirs().map(({ dir }) => path.relative(process.cwd(), dir) || '.'))];
+    throw new Error(`Prompt template ${promptFileName(name)} not found (searched ${searched.join(', ')}) - reinstall ralphio or add it to ${getConfig().paths.promptsDir}`);
+  }
+  if (prompt.layer === 'project' && !announcedOverrides.has(prompt.path)) {
+    announcedOverrides.add(prompt.path);
+    console.log(`📝 Using ${path.relative(process.cwd(), prompt.path)} instead of the shipped ${prompt.name}`);
+  }
+  logToFile(`Prompt ${prompt.name} from ${prompt.path}`, 'INFO');
+  return prompt;
+}
 
-    return true;
+// Render a prompt template by name; errors name the file (and the includes that led to it)
+function renderPrompt(name, vars, including = []) {
+  const prompt = loadPrompt(name);
+  if (including.includes(prompt.name)) {
+    throw new Error(`Include cycle: ${[...including, prompt.name].join(' > ')}`);
+  }
+  try {
+    return renderPromptTemplate(prompt.content, vars, [...including, prompt.name]);
   } catch (error) {
-    console.error('❌ Error parsing PRD:', error.message);
-    logToFile(`PRD parsing error: ${error.message}`, 'ERROR');
-    return false;
+    throw new Error(`${path.relative(process.cwd(), prompt.path)}: ${error.message}`);
   }
 }
 
-// Simple auto-commit with task info
-function autoCommitChanges(taskDescription, sessionId) {
-  let commitMsg = ''; // Define in function scope for error handler
+// {{name}} and {{a.b}} variables, {{#if name}}...{{else}}...{{/if}} blocks (they nest) and
+// {{> name}} includes of other prompt templates. A missing field of a known variable renders
+// empty; names that aren't variables at all are left alone. The single-brace {projectFolder}
+// of older prompt.md files is filled in too.
+function renderPromptTemplate(template, vars, including = []) {
+  const lookup = (name) => name.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), vars);
+  const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+  const tokens = template.split(/(\{\{[^{}]*\}\})/);
+  let index = 0;
+
+  // Render up to the {{else}} or {{/if}} that ends the current block; an inactive block
+  // (the branch an {{#if}} didn't take) is only walked, not rendered
+  const renderBlock = (active) => {
+    let output = '';
+    while (index < tokens.length) {
+      const token = tokens[index++];
+      const tag = token.match(/^\{\{\s*(#if\s+[\w.]+|else|\/if|>\s*[\w.-]+|[\w.]+)\s*\}\}$/);
+      if (!tag) {
+        if (active) output += vars.projectFolder === undefined ? token : token.split('{projectFolder}').join(vars.projectFolder);
+        continue;
+      }
+      const expression = tag[1];
+      if (expression === 'else' || expression === '/if') return { output, end: expression };
+
+      if (expression.startsWith('#if')) {
+        const name = expression.slice(3).trim();
+        const condition = active && isTruthy(lookup(name));
+        const truthy = renderBlock(condition);
+        const falsy = truthy.end === 'else' ? renderBlock(active && !condition) : { output: '', end: truthy.end };
+        if (falsy.end !== '/if') throw new Error(`{{#if ${name}}} is never closed with {{/if}}`);
+        output += condition ? truthy.output : falsy.output;
+      } else if (!active) {
+        continue;
+      } else if (expression.startsWith('>')) {
+        output += renderPrompt(expression.slice(1).trim(), vars, including);
+      } else if (!(expression.split('.')[0] in vars)) {
+        output += token; // Not one of ours - e.g. a {{ binding }} in a code sample
+      } else {
+        const value = lookup(expression);
+        output += value == null ? '' : String(value);
+      }
+    }
+    return { output, end: null };
+  };
 
-  try {
-    const { execSync } = require('child_process');
+  const { output, end } = renderBlock(true);
+  if (end !== null) throw new Error(`{{${end}}} without a matching {{#if}}`);
+  return output;
+}
 
-    // Check if there are changes to commit
-    const status = execSync('git status --porcelain', { encoding: 'utf8' });
-    if (!status.trim()) {
-      console.log('\n✅ No uncommitted changes (agent may have already committed)');
-      logToFile('No changes to commit - agent likely already committed', 'INFO');
-      return true;
+// The prompts RALPHIO renders, and what for
+const PROMPT_USES = {
+  'loop_prompt.md': 'every loop',
+  'resume_prompt.md': 'resumed loops (--resume, timeouts)',
+  'system_prompt_tdd.md': 'ralphio init - becomes prompt.md',
+  'parse_prd_tdd_prompt.md': '--parse-prd',
+  'expand_task_prompt.md': '--expand, --expand-all',
+  'compact_memory_prompt.md': 'memory compact --summarize'
+};
+
+// ralphio prompts [eject <name>] - where each prompt comes from; eject copies a shipped prompt
+// into paths.promptsDir, where it overrides the shipped one
+function managePrompts(eject) {
+  const { promptsDir, promptFile } = getConfig().paths;
+
+  if (eject) {
+    const shipped = findPrompt(eject, 'package');
+    if (!shipped) {
+      console.error(`❌ No shipped prompt called ${promptFileName(eject)} - one of: ${Object.keys(PROMPT_USES).join(', ')}`);
+      return false;
     }
+    const target = path.join(promptsDir, shipped.name);
+    if (fs.existsSync(target)) {
+      console.error(`❌ ${target} already exists - delete it to go back to the shipped prompt`);
+      return false;
+    }
+    fs.mkdirSync(promptsDir, { recursive: true });
+    fs.writeFileSync(target, shipped.content);
+    console.log(`✅ Copied ${shipped.name} to ${target} - edit it there; RALPHIO uses it from now on`);
+    return true;
+  }
 
-    // Build safe commit message
-    const timestamp = new Date().toISOString().slice(11, 19).replace(/:/g, ''); // HHMMSS
-    const session = sessionId ? sessionId.slice(-6) : 'nosess';
-
-    // Sanitize task - keep it simple and safe for shell, but smart truncation
-    let task = (taskDescription || 'task')
-      .replace(/[^a-zA-Z0-9 \-_]/g, '') // Only safe chars first
-      .replace(/\s+/g, ' ') // Normalize spaces
-      .trim();
+  // Other files in promptsDir can be included with {{> name}}
+  const partials = fs.existsSync(promptsDir)
+    ? fs.readdirSync(promptsDir).filter(name => name.endsWith('.md') && !(name in PROMPT_USES)).sort()
+    : [];
+  const names = [...Object.keys(PROMPT_USES), ...partials];
+  const width = Math.max(...names.map(name => name.length));
+
+  console.log(`📝 RALPHIO prompts - files in ${promptsDir} override the shipped ones\n`);
+  for (const name of names) {
+    const prompt = findPrompt(name);
+    const source = !prompt ? 'missing' : prompt.layer === 'project' ? 'project' : 'shipped';
+    console.log(`   ${name.padEnd(width)}  ${source.padEnd(7)}  ${PROMPT_USES[name] || 'include'}`);
+  }
+  console.log(`\nEvery loop also starts from ${promptFile}, the system prompt "ralphio init" created.`);
+  return true;
+}
 
-    // Smart truncation - don't cut words
-    if (task.length > 50) {
-      task = task.substring(0, 50);
-      const lastSpace = task.lastIndexOf(' ');
-      if (lastSpace > 30) {
-        task = task.substring(0, lastSpace); // Cut at word boundary
-      }
+// Stack detection: the project's build/test/lint commands, from the files at its root.
+// Per command, a Makefile target wins over a package.json script, which wins over the
+// language's standard tool. Returns { stack: [labels], build, test, lint } (null = none found).
+function detectProjectCommands(dir = process.cwd()) {
+  const exists = (file) => fs.existsSync(path.join(dir, file));
+  const read = (file) => {
+    try {
+      return fs.readFileSync(path.join(dir, file), 'utf8');
+    } catch (error) {
+      return '';
+    }
+  };
+  const stack = [];
+  const found = { build: [], test: [], lint: [] }; // Candidates, most specific first
+
+  const makefile = ['Makefile', 'makefile', 'GNUmakefile'].find(exists);
+  if (makefile) {
+    const targets = new Set([...read(makefile).matchAll(/^([\w.-]+)\s*:(?!=)/gm)].map(match => match[1]));
+    if (targets.size > 0) stack.push('Make');
+    for (const command of ['build', 'test', 'lint']) {
+      if (targets.has(command)) found[command].push(`make ${command}`);
     }
-    task = task.trim() || 'task';
+    if (targets.has('check')) found.test.push('make check');
+  }
 
-    // Simple format that always works
-    commitMsg = `RALPHIO: ${task} [${session}-${timestamp}]`;
+  if (exists('package.json')) {
+    let pkg = {};
+    try {
+      pkg = JSON.parse(read('package.json'));
+    } catch (error) {
+      // Unreadable - still a Node project
+    }
+    const scripts = pkg.scripts || {};
+    const declared = typeof pkg.packageManager === 'string' ? pkg.packageManager.split('@')[0] : null;
+    const manager = declared ||
+      (exists('pnpm-lock.yaml') || exists('pnpm-workspace.yaml') ? 'pnpm'
+        : exists('yarn.lock') ? 'yarn'
+          : exists('bun.lockb') || exists('bun.lock') ? 'bun'
+            : 'npm');
+    const workspace = manager === 'pnpm' && exists('pnpm-workspace.yaml');
+    stack.push(workspace ? 'Node (pnpm workspace)' : `Node (${manager})`);
+
+    // "bun test" and "pnpm -r test" are not the test script - always say "run"
+    const script = (name) => (workspace && !scripts[name] ? `pnpm -r run ${name}` : `${manager} run ${name}`);
+    const hasScript = (name) => Boolean(scripts[name]) && !/no test specified/.test(scripts[name]);
+    if (hasScript('build') || workspace) found.build.push(script('build'));
+    else if (hasScript('typecheck')) found.build.push(script('typecheck'));
+    if (hasScript('test') || workspace) found.test.push(manager === 'npm' && hasScript('test') ? 'npm test' : script('test'));
+    if (hasScript('lint') || workspace) found.lint.push(script('lint'));
+  }
 
-    // Debug logging
-    console.log(`\n📝 Attempting auto-commit:`);
-    console.log(`   Task: "${taskDescription}" -> "${task}"`);
-    console.log(`   Session: ${sessionId || 'none'} -> ${session}`);
-    console.log(`   Message: "${commitMsg}"`);
-    logToFile(`Commit attempt - Original: "${taskDescription}", Sanitized: "${task}", Full: "${commitMsg}"`, 'DEBUG');
+  if (exists('Cargo.toml')) {
+    stack.push('Rust');
+    found.build.push('cargo build');
+    found.test.push('cargo test');
+    found.lint.push('cargo clippy');
+  }
 
-    // Stage changes and verify something is actually staged
-    execSync('git add -A', { encoding: 'utf8' });
+  if (exists('go.mod')) {
+    stack.push('Go');
+    found.build.push('go build ./...');
+    found.test.push('go test ./...');
+    found.lint.push('go vet ./...');
+  }
 
-    // Double-check: are there actually staged changes?
-    const stagedChanges = execSync('git diff --cached --stat', { encoding: 'utf8' });
-    if (!stagedChanges.trim()) {
-      // This can happen if files were modified then reverted, or if agent committed
-      console.log('\n✅ No changes to commit after staging (likely already committed)');
-      logToFile('No staged changes - agent likely committed or changes were reverted', 'INFO');
-      return true;
+  if (['pyproject.toml', 'setup.py', 'setup.cfg', 'requirements.txt'].some(exists)) {
+    const runner = exists('uv.lock') ? 'uv run ' : exists('poetry.lock') ? 'poetry run ' : '';
+    stack.push(`Python${runner ? ` (${runner.split(' ')[0]})` : ''}`);
+    const pyproject = read('pyproject.toml');
+    if (/\[tool\.pytest|pytest/.test(pyproject + read('requirements.txt') + read('setup.cfg')) || exists('pytest.ini') || exists('tests')) {
+      found.test.push(`${runner}pytest`);
     }
+    if (/\[tool\.ruff/.test(pyproject) || exists('ruff.toml')) found.lint.push(`${runner}ruff check .`);
+  }
 
-    // Now commit
-    execSync(`git commit -m "${commitMsg}"`, { encoding: 'utf8' });
+  return { stack, build: found.build[0] || null, test: found.test[0] || null, lint: found.lint[0] || null };
+}
 
-    console.log(`✅ AUTO-COMMIT SUCCESS: ${commitMsg}`);
-    logToFile(`Auto-committed: ${commitMsg}`, 'SUCCESS');
+let projectCommands = null;
 
-    return true;
-  } catch (error) {
-    // If it's just "nothing to commit", that's fine
-    if (error.message.includes('nothing to commit')) {
-      logToFile('Nothing to commit', 'INFO');
-      return true;
-    }
+// The build/test/lint commands in use: config.commands, with the detected ones filling the
+// gaps. Announced once per process.
+function getProjectCommands() {
+  if (projectCommands) return projectCommands;
 
-    // Detailed error debugging
-    console.error(`\n⚠️ Auto-commit failed!`);
-    console.error(`   Error: ${error.message}`);
-    console.error(`   Stderr: ${error.stderr || 'none'}`);
-    console.error(`   Status: ${error.status || 'unknown'}`);
-    console.error(`   Command: git commit -m "${commitMsg}"`);
+  const { commands } = getConfig();
+  const detected = detectProjectCommands();
+  projectCommands = { stack: detected.stack, sources: {} };
+  for (const name of ['build', 'test', 'lint']) {
+    projectCommands[name] = commands[name] || detected[name];
+    projectCommands.sources[name] = commands[name] ? 'config' : detected[name] ? 'detected' : null;
+  }
 
-    logToFile(`Auto-commit failed: ${error.message}`, 'ERROR');
-    logToFile(`Error details - stderr: ${error.stderr}, status: ${error.status}`, 'DEBUG');
+  const summary = ['build', 'test', 'lint']
+    .map(name => `${name}: ${projectCommands[name] || '-'}`)
+    .join(' · ');
+  const stack = detected.stack.length > 0 ? detected.stack.join(', ') : 'unknown stack';
+  logToFile(`Project commands (${stack}) - ${summary}`, 'INFO');
+  if (Object.values(projectCommands.sources).includes('detected')) {
+    console.log(`🧰 ${stack} - ${summary}`);
+  }
+  return projectCommands;
+}
 
-    // Try to show git status for debugging
+// A plan task as prompts see it: {{task.id}}, {{task.markdown}} (its checkbox line), ...
+function describeTaskForPrompt(task) {
+  if (!task) return null;
+  return {
+    id: task.id,
+    title: task.title,
+    text: task.text,
+    section: task.section,
+    points: task.points,
+    markdown: formatTaskLine(task).trim(),
+    lineNumber: task.line + 1
+  };
+}
+
+// Variables every prompt can use, plus the ones of the prompt at hand
+function getPromptVariables(extra = {}) {
+  const { paths } = getConfig();
+  const commands = getProjectCommands();
+  return {
+    projectFolder: process.cwd(),
+    paths,
+    absolutePaths: Object.fromEntries(Object.entries(paths).map(([key, value]) => [key, path.resolve(value)])), // For tools that want absolute paths
+    buildCommand: commands.build,
+    testCommand: commands.test,
+    lintCommand: commands.lint,
+    stack: commands.stack.join(', '),
+    date: new Date().toISOString().split('T')[0],
+    ...extra
+  };
+}
+
+// Agent runners - the backend that runs one agent session
+//
+// runner.start(prompt, options) returns an async iterable of messages in the Claude Code SDK
+// shape, whatever the backend:
+//   { type: 'system', subtype: 'init', session_id }                       - session id, first
+//   { type: 'assistant', message: { content: [text / tool_use blocks] } }
+//   { type: 'user', message: { content: [tool_result blocks] } }
+//   { type: 'result', subtype, result, num_turns, total_cost_usd, usage }  - usage, last
+// options: { maxTurns, resume (session id), cwd, disallowedTools, abortController, task }.
+// Aborting the controller stops the session; the stream then ends or throws.
+
+// The content blocks of an assistant or user message - [] for anything not shaped like one
+function messageContent(message) {
+  if (!message || !message.message || !Array.isArray(message.message.content)) return [];
+  return message.message.content.filter(block => block && typeof block === 'object');
+}
+
+// Claude Code CLI for the SDK runner. Only resolved when that runner is used, so commands
+// that don't run an agent (status, init, --help) work without it.
+function resolveClaudeExecutable() {
+  if (process.env.CLAUDE_CODE_EXECUTABLE) return process.env.CLAUDE_CODE_EXECUTABLE;
+  if (process.env.CLAUDE_PATH) return process.env.CLAUDE_PATH;
+  try {
+    // Preferred: package entrypoint
+    return require.resolve('@anthropic-ai/claude-code/entrypoints/cli.js');
+  } catch (e1) {
     try {
-      const debugStatus = execSync('git status --short', { encoding: 'utf8' });
-      console.error(`   Git status:\n${debugStatus.split('\n').map(l => '     ' + l).join('\n')}`);
-    } catch (e) {
-      // Ignore if this fails too
+      // Fallback: older package name
+      return require.resolve('@anthropic-ai/entrypoints/cli.js');
+    } catch (e2) {
+      throw new Error('Claude Code CLI not found. Install @anthropic-ai/claude-code or set CLAUDE_CODE_EXECUTABLE to the Node CLI path (…/@anthropic-ai/claude-code/entrypoints/cli.js)');
     }
-
-    return false;
   }
 }
 
-async function runTask() {
-  const timeoutMs = getTimeout(); // Move to function scope
-  let sessionId = null; // Track session for this loop
+// agent.runner "claude" - the Claude Code SDK
+function createClaudeRunner() {
+  const executable = resolveClaudeExecutable();
 
-  try {
-    // Read all critical files to ensure full context
-    const promptContent = fs.readFileSync('.agent/prompt.md', 'utf8');
-    const memoryContent = fs.readFileSync('.agent/memory.md', 'utf8');
-    const planningContent = fs.readFileSync('.agent/planning.md', 'utf8');
+  return {
+    name: 'claude',
+    async *start(prompt, { maxTurns, resume, cwd, disallowedTools, abortController } = {}) {
+      let query;
+      try {
+        ({ query } = await import('@anthropic-ai/claude-code'));
+      } catch (error) {
+        throw new Error(`Could not load the Claude Code SDK (@anthropic-ai/claude-code): ${error.message}`);
+      }
+
+      yield* query({
+        prompt,
+        options: {
+          permissionMode: 'bypassPermissions',
+          maxTurns,
+          pathToClaudeCodeExecutable: executable,
+          ...(resume ? { resume } : {}),
+          ...(cwd ? { cwd } : {}),
+          ...(disallowedTools ? { disallowedTools } : {}),
+          ...(abortController ? { abortController } : {})
+        }
+      });
+    }
+  };
+}
 
-    // Extract current task for commit message
-    const taskMatch = planningContent.match(/^[ \t]*- \[ \] (.+)$/m);
-    const currentTask = taskMatch ? taskMatch[1] : 'task';
+// Fill {maxTurns}, {sessionId} and {taskId} in agent.args / agent.resumeArgs
+function fillRunnerArgs(template, values) {
+  return template.map(arg => arg.replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? String(values[name]) : placeholder)));
+}
 
-    // Inject content for immediate context, but agent still edits the actual files
-    const fullPrompt = `
+// agent.runner "command" - any CLI that takes the prompt on stdin and prints JSONL messages
+// (in the shape above) on stdout. Lines that aren't JSON count as assistant text; without a
+// result message, one is made up from that text when the CLI exits cleanly.
+function createCommandRunner({ command, args, resumeArgs }) {
+  if (!command) {
+    throw new Error('agent.runner "command" needs agent.command - the CLI to run');
+  }
 
-=== CURRENT STATE OF .agent/prompt.md (you don't have to re-read with edit tool) ===
-${promptContent}
-=== END OF .agent/prompt.md ===
+  return {
+    name: 'command',
+    async *start(prompt, { maxTurns, resume, cwd, abortController, task } = {}) {
+      const { spawn } = require('child_process');
+      const readline = require('readline');
+
+      const values = { maxTurns, sessionId: resume || '', taskId: task ? task.id : '' };
+      const commandArgs = [...fillRunnerArgs(args, values), ...(resume ? fillRunnerArgs(resumeArgs, values) : [])];
+      // Its own process group, so stopping it also stops the tools it started
+      const ownGroup = process.platform !== 'win32';
+      const child = spawn(command, commandArgs, { cwd: cwd || process.cwd(), stdio: ['pipe', 'pipe', 'pipe'], detached: ownGroup });
+      const kill = (signal) => {
+        try {
+          if (ownGroup) process.kill(-child.pid, signal);
+          else child.kill(signal);
+        } catch (error) {
+          // Already gone
+        }
+      };
+
+      let stderr = '';
+      child.stderr.setEncoding('utf8');
+      child.stderr.on('data', (chunk) => {
+        stderr = (stderr + chunk).slice(-4000);
+      });
+      const exited = new Promise((resolve) => {
+        child.on('error', error => resolve({ error }));
+        child.on('close', (code, signal) => resolve({ code, signal }));
+      });
+      // SIGKILL if it ignores SIGTERM
+      const onAbort = () => {
+        kill('SIGTERM');
+        setTimeout(() => kill('SIGKILL'), 5000).unref();
+      };
+      if (abortController) abortController.signal.addEventListener('abort', onAbort, { once: true });
+
+      child.stdin.on('error', () => {}); // EPIPE if the CLI never reads its stdin
+      child.stdin.end(prompt);
+
+      let sawResult = false;
+      let text = '';
+      try {
+        for await (const line of readline.createInterface({ input: child.stdout, crlfDelay: Infinity })) {
+          if (!line.trim()) continue;
+
+          let message;
+          try {
+            message = JSON.parse(line);
+          } catch (error) {
+            message = { type: 'assistant', message: { content: [{ type: 'text', text: line }] } };
+          }
+          // Valid JSON that isn't a message (null, a number, a list) says nothing
+          if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            logToFile(`Ignoring a non-message line from ${command}: ${line.slice(0, 200)}`, 'DEBUG');
+            continue;
+          }
+          if (message.type === 'result') sawResult = true;
+          if (message.type === 'assistant') {
+            text += messageContent(message).filter(block => block.type === 'text').map(block => block.text).join('\n');
+          }
+          yield message;
+        }
 
-=== CURRENT STATE OF .agent/memory.md (you don't have to re-read with edit tool) ===
-${memoryContent}
-=== END OF .agent/memory.md ===
+        const { code, signal, error } = await exited;
+        if (error) {
+          throw new Error(`Could not start ${command}: ${error.message}`);
+        }
+        if (abortController && abortController.signal.aborted) {
+          throw new Error(`${command} was aborted`);
+        }
+        if (code !== 0) {
+          const detail = stderr.trim().split('\n').slice(-5).join(' | ');
+          throw new Error(`${command} exited with ${signal ? `signal ${signal}` : `code ${code}`}${detail ? `: ${detail}` : ''}`);
+        }
+        if (!sawResult) {
+          yield { type: 'result', subtype: 'success', result: text, num_turns: 0, total_cost_usd: 0, usage: {} };
+        }
+      } finally {
+        if (abortController) abortController.signal.removeEventListener('abort', onAbort);
+        if (child.exitCode === null && child.signalCode === null) kill('SIGTERM'); // Stream abandoned early
+      }
+    }
+  };
+}
 
-=== CURRENT STATE OF .agent/planning.md (you don't have to re-read with edit tool) ===
-${planningContent}
-=== END OF agent/planning.md ===
+// agent.runner "scripted" - a deterministic fake for offline runs and tests. agent.script is
+// a JSON file: { "loops": [{ "match", "times", "steps", "result", "costUsd", "usage" }] }.
+// Each session plays the first loop whose "match" appears in the task text (no match = any
+// task) and that hasn't been played "times" times yet in this process. Steps, in order:
+//   { "text": "..." }                                  assistant text
+//   { "tool": "Bash", "input": {...}, "result": "..." } tool call and its result
+//   { "write": "file", "content": "..." }              write a file
+//   { "savePrompt": "file" }                           write the prompt the session got to a file
+//   { "run": "shell command" }                         run a command (e.g. git commit)
+//   { "checkTask": true }                              tick the task's checkbox
+//   { "sleep": ms }                                    wait (abortable)
+//   { "error": "message" }                             fail the session
+function createScriptedRunner({ script }) {
+  if (!script) {
+    throw new Error('agent.runner "scripted" needs agent.script - the path to a script file');
+  }
+  let loops;
+  try {
+    ({ loops } = JSON.parse(fs.readFileSync(script, 'utf8')));
+  } catch (error) {
+    throw new Error(`Could not read agent script ${script}: ${error.message}`);
+  }
+  if (!Array.isArray(loops)) {
+    throw new Error(`Agent script ${script} needs a "loops" array`);
+  }
 
-Follow the ./.agent/prompt.md instructions EXACTLY step by step. Step 0: Read ./.agent/memory.md first. Step 1: Read ./.agent/planning.md and find FIRST unchecked task. Step 2: Go into plan mode using exit_plan_mode tool, implement task, run npm run build to verify. Step 3: Mark task complete with Edit tool ONLY if build succeeded. Step 4: You have to commit your work. ONE task per loop only.
+  const played = loops.map(() => 0);
+  let sessions = 0;
+
+  return {
+    name: 'scripted',
+    async *start(prompt, { resume, cwd, abortController, task } = {}) {
+      const taskText = task ? task.text : '';
+      const index = loops.findIndex((loop, position) =>
+        (!loop.match || taskText.includes(loop.match)) && (loop.times == null || played[position] < loop.times)
+      );
+      if (index === -1) {
+        throw new Error(`No scripted loop left for task "${taskText}" in ${script}`);
+      }
+      played[index]++;
+      const loop = loops[index];
+      const aborted = () => abortController && abortController.signal.aborted;
+      const workDir = cwd || process.cwd();
 
-IMPORTANT: You must still use Edit tool on the actual files:
-- To mark task complete: Edit {projectFolder}/.agent/planning.md
-- To update memory: Edit {projectFolder}/.agent/memory.md
-Do NOT try to edit the content shown above - edit the actual files.`;
+      yield { type: 'system', subtype: 'init', session_id: resume || `scripted-${process.pid}-${++sessions}` };
 
-    const message = '🔄 Starting task execution...';
-    console.log(message);
-    logToFile(message, 'INFO');
+      const steps = loop.steps || [];
+      for (const [position, step] of steps.entries()) {
+        if (aborted()) throw new Error('Scripted session aborted');
 
-    const queryPromise = (async () => {
-      let result = '';
-      for await (const message of query({
-        prompt: fullPrompt,
-        options: {
-          permissionMode: 'bypassPermissions',
-          maxTurns: 200,
-          pathToClaudeCodeExecutable: CLAUDE_EXEC
+        if (step.text) {
+          yield { type: 'assistant', message: { content: [{ type: 'text', text: step.text }] } };
         }
-      })) {
-        // Capture session ID from init message
-        if (message.type === "system" && message.subtype === "init") {
-          sessionId = message.session_id;
-          logToFile(`Session started: ${sessionId}`, 'INFO');
-          console.log(`📍 Session ID: ${sessionId}`);
-        } else if (message.type === "assistant") {
-          // Stream assistant responses in real-time, line by line
-          if (message.message.content) {
-            for (const block of message.message.content) {
-              if (block.type === "text") {
-                const text = block.text;
-
-                // Split into lines and output each line separately
-                const lines = text.split('\n');
-                for (const line of lines) {
-                  if (line.trim()) {
-                    logOutput(line);
-                  }
-                }
-              } else if (block.type === "tool_use") {
-                // Log tool calls for visibility
-                const toolCall = `🪚 TOOL CALL: ${block.name}`;
-                const toolParams = block.input ? ` | Params: ${JSON.stringify(block.input, null, 2)}` : '';
-                logOutput(toolCall + toolParams);
-              }
-            }
-          }
-        } else if (message.type === "tool_result") {
-          // Log tool results
-          const toolResult = `📋 TOOL RESULT: ${message.tool_name || 'unknown'} | ${message.is_error ? 'ERROR' : 'SUCCESS'}`;
-          logOutput(toolResult);
-          if (message.content && message.content.length < 500) {
-            logOutput(`   Result: ${JSON.stringify(message.content).substring(0, 200)}...`);
+        if (step.tool) {
+          const id = `scripted-tool-${position}`;
+          yield { type: 'assistant', message: { content: [{ type: 'tool_use', id, name: step.tool, input: step.input || {} }] } };
+          yield { type: 'user', message: { content: [{ type: 'tool_result', tool_use_id: id, content: step.result || 'ok', is_error: Boolean(step.isError) }] } };
+        }
+        if (step.write) {
+          const target = path.resolve(workDir, step.write);
+          fs.mkdirSync(path.dirname(target), { recursive: true });
+          fs.writeFileSync(target, step.content || '');
+        }
+        if (step.savePrompt) {
+          fs.writeFileSync(path.resolve(workDir, step.savePrompt), prompt);
+        }
+        if (step.run) {
+          const { execSync } = require('child_process');
+          execSync(step.run, { cwd: workDir, stdio: 'pipe' });
+        }
+        if (step.checkTask && task) {
+          const plan = readPlan();
+          const planTask = findTaskByText(plan, task.text);
+          if (planTask) {
+            setTaskStatus(plan, planTask, 'done');
+            writePlan(plan);
           }
-        } else if (message.type === "result") {
-          result = message.result;
-          const completionMessage = `\n✅ Task execution completed. Session: ${sessionId}`;
-          console.log(completionMessage);
-          logToFile(`Task completed in session: ${sessionId}`, 'INFO');
+        }
+        if (step.sleep) {
+          await new Promise((resolve) => {
+            const timer = setTimeout(resolve, step.sleep);
+            if (abortController) abortController.signal.addEventListener('abort', () => {
+              clearTimeout(timer);
+              resolve();
+            }, { once: true });
+          });
+        }
+        if (step.error) {
+          throw new Error(step.error);
+        }
+      }
 
-          // Save session ID to memory for potential resume
-          if (sessionId) {
-            fs.appendFileSync('.agent/memory.md', `\n<!-- Last session: ${sessionId} -->\n`);
-          }
-        } else {
-          // Log any other message types for debugging
-          logToFile(`DEBUG: Unknown message type: ${message.type}`, 'DEBUG');
+      yield {
+        type: 'result',
+        subtype: 'success',
+        result: loop.result || 'done',
+        num_turns: steps.length,
+        total_cost_usd: loop.costUsd || 0,
+        usage: { input_tokens: 0, output_tokens: 0, cache_read_input_tokens: 0, cache_creation_input_tokens: 0, ...loop.usage }
+      };
+    }
+  };
+}
+
+const RUNNERS = {
+  claude: createClaudeRunner,
+  command: createCommandRunner,
+  scripted: createScriptedRunner
+};
+
+let cachedRunner = null;
+
+function getRunner() {
+  if (!cachedRunner) {
+    const { agent } = getConfig();
+    cachedRunner = RUNNERS[agent.runner](agent);
+  }
+  return cachedRunner;
+}
+
+// Commands that run an agent check up front that the configured runner can start
+function ensureRunner() {
+  try {
+    getRunner();
+    return true;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return false;
+  }
+}
+
+// Run a one-shot query and collect the assistant's text answer
+async function queryForText(prompt, options = {}) {
+  let text = '';
+  for await (const message of getRunner().start(prompt, { maxTurns: 1, ...options })) {
+    if (!message) continue;
+    if (message.type === "assistant") {
+      for (const block of messageContent(message)) {
+        if (block.type === "text") {
+          text += block.text;
         }
       }
-      return result;
-    })();
+    } else if (message.type === "result") {
+      // Final result
+      if (message.result) {
+        text = message.result;
+      }
+    }
+  }
+  return text;
+}
+
+function printHelp() {
+  console.log(`RALPHIO - One task per loop agent orchestrator
+
+Usage:
+  ralphio --once              Run single task iteration
+  ralphio --until-success     Run until all tasks complete or failure limit reached
+  ralphio --resume [id]       Continue an interrupted loop's agent session
+  ralphio --parse-prd <file>  Parse PRD and generate tasks in planning.md
+  ralphio --expand <task>     Break one task into subtasks in planning.md
+  ralphio --expand-all [N]    Break down every task over N story points (default 2)
+  ralphio import <source>     Add GitHub issues to planning.md (from a gh JSON export or the API)
+  ralphio init                Initialize .agent/ structure with template files
+  ralphio status [--json]     Show task progress and recent iterations
+  ralphio memory compact      Drop duplicate and stale learnings from memory.md
+  ralphio prompts             List the prompt templates and where each one comes from
+  ralphio serve               Open a local dashboard to watch and steer a running loop
+  ralphio --version           Show version number
+  ralphio --help              Show this help message
+
+Options:
+  --once                      Execute one task and exit
+  --until-success             Continue executing tasks until completion or failure
+  --resume [sessionId]        Resume a session (default: the last one in .agent/state.json)
+  --task <id|text>            Only work on this task (and its subtasks); text matches any task containing it
+  --section <heading>         Only work on tasks under headings containing this text
+  --parallel <N>              With --until-success: run up to N tasks at once, each in its own git worktree
+  --retry-blocked             Requeue tasks marked - [!] (blocked); combine with --once/--until-success
+  --force                     Start even if the working tree is dirty (git.taskBranches mode)
+  --fresh                     With --until-success: ignore the checkpoint of an interrupted run and start over
+  --output json               Report the run as NDJSON events on stdout; human-readable output goes to stderr
+  --parse-prd <file>          Parse a PRD file and append tasks to planning.md; later runs only add tasks for new or changed sections
+    --dry-run                 Show the planning.md diff without changing it
+  --expand <task>             Task id (1-based position in planning.md) or part of its text
+  --expand-all [N]            Expand all unchecked tasks with more than N story points
+  init                        Initialize project with .agent/ structure and templates
+  status                      Report done/remaining tasks, story points and the next task
+    --json                    Print the status report as JSON
+    --last <N>                Number of recent iterations to show (default 5)
+  serve                       Serve the dashboard on serve.host:serve.port (default 127.0.0.1:4747)
+    --port <port>             Listen on this port instead (0 picks a free one)
+    --host <host>             Listen on this address instead
+  memory compact              Deduplicate memory.md and drop learnings older than memory.staleAfterDays
+    --summarize               Also have the agent merge related learnings
+    --dry-run                 Show what would be removed without changing memory.md
+  import <file|github>        Add open issues from "gh issue list --json number,title,body,labels,state,url" output, or from issues.repo via issues.apiUrl
+    --label <name>            Only issues with this label
+    --repo <owner/name>       Read this repository instead of issues.repo
+  prompts                     List the prompt templates; files in .agent/prompts/ override the shipped ones
+    eject <name>              Copy a shipped prompt into .agent/prompts/ to edit it there
+  --version                   Display version information
+  --help                      Display this help message
+
+Exit codes (--once, --resume, --until-success):
+  0    All done (--once: the loop succeeded)
+  1    Failed: the loop failed, too many consecutive failures, a beforeRun hook failed, or no task can become ready
+  2    Reached loop.maxIterations
+  3    Budget reached
+  4    Only blocked (or skipped) tasks left
+  5    Stopped from the dashboard - "ralphio --until-success" continues the run
+  130  Interrupted by SIGINT (143: SIGTERM) - "ralphio --until-success" continues the run`);
+}
+
+function printVersion() {
+  const pkg = require('./package.json');
+  console.log(`ralphio v${pkg.version}`);
+}
+
+// Everything goes where the configuration says: paths.* from a config file written beforehand
+// (RALPHIO_CONFIG) or from the environment, .agent/ by default
+async function initializeAgentStructure() {
+  try {
+    const { paths } = getConfig();
+    const existing = [paths.planFile, paths.memoryFile, paths.promptFile].find(file => fs.existsSync(file));
+    if (existing) {
+      console.log(`⚠️  ${existing} already exists. Skipping initialization...`);
+      return;
+    }
+
+    console.log('🚀 Initializing RALPHIO agent structure...');
+
+    fs.mkdirSync(paths.agentDir, { recursive: true });
+    console.log(`✅ Created ${paths.agentDir}/ directory`);
+
+    // Create subdirectories
+    for (const dir of [paths.artifactsDir, paths.logsDir]) fs.mkdirSync(dir, { recursive: true });
+    console.log(`✅ Created ${paths.artifactsDir}, ${paths.logsDir}`);
+
+    // Create agent.config.json, with the build/test/lint commands found in the project. A config
+    // that is already there is the user's - it stays as it is.
+    const detected = detectProjectCommands();
+    const commands = { build: detected.build, test: detected.test, lint: detected.lint };
+    if (fs.existsSync(CONFIG_FILE)) {
+      console.log(`ℹ️  Keeping the existing ${CONFIG_FILE}`);
+    } else {
+      fs.mkdirSync(path.dirname(CONFIG_FILE), { recursive: true });
+      fs.writeFileSync(CONFIG_FILE, JSON.stringify({ ...DEFAULT_CONFIG, paths, commands }, null, 2));
+      console.log(`✅ Created ${CONFIG_FILE} with default paths and loop settings`);
+    }
+    if (detected.stack.length > 0) {
+      console.log(`🧰 Detected ${detected.stack.join(', ')} - ${Object.entries(commands).map(([name, command]) => `${name}: ${command || '-'}`).join(' · ')}`);
+    }
+
+    // Create memory.md template
+    const discovered = (value) => (value ? `\`${value}\`` : '[To be discovered]');
+    const memoryTemplate = `# MEMORY
+
+## Stack Discovery
+- **Stack**: ${detected.stack.length > 0 ? detected.stack.join(', ') : '[To be discovered on first run]'}
+- **Build Command**: ${discovered(commands.build)}
+- **Test Command**: ${discovered(commands.test)}
+- **Lint Command**: ${discovered(commands.lint)}
+
+## Learnings
+
+[One line per key learning: - [category] Topic: problem - solution]
+`;
+    fs.mkdirSync(path.dirname(paths.memoryFile), { recursive: true });
+    fs.writeFileSync(paths.memoryFile, memoryTemplate);
+    console.log(`✅ Created ${paths.memoryFile} template`);
+
+    // Create planning.md template (main task file)
+    const planTemplate = `# Planning - Sample Tasks
+
+## Getting Started
+- [ ] Run ${commands.build || 'the build'} to verify project setup
+- [ ] Create a simple hello.txt file with greeting message
+- [ ] Add a test comment to demonstrate edit functionality
+
+## Notes
+- Each task should be 1-2 story points (simple, focused changes)
+- Tasks are processed one at a time by RALPHIO
+- Mark tasks with \`- [ ]\` for unchecked, \`- [x]\` when complete
+- Parent tasks can have child subtasks with same indentation
+`;
+    fs.mkdirSync(path.dirname(paths.planFile), { recursive: true });
+    fs.writeFileSync(paths.planFile, planTemplate);
+    console.log(`✅ Created ${paths.planFile} with sample tasks`);
+
+    // Create prompt.md from the shipped (or the project's own) system prompt. It is copied
+    // as a template - its {{variables}} are filled in on every loop.
+    const systemPrompt = findPrompt('system_prompt_tdd.md');
+    if (!systemPrompt) {
+      console.warn(`⚠️  system_prompt_tdd.md not found - reinstall ralphio, or write your own instructions into ${paths.promptFile}`);
+    }
+    fs.mkdirSync(path.dirname(paths.promptFile), { recursive: true });
+    fs.writeFileSync(
+      paths.promptFile,
+      systemPrompt ? systemPrompt.content : '# RALPHIO\n\nDo ONE task per loop: the one named under "YOUR TASK FOR THIS LOOP".\n'
+    );
+    console.log(`✅ Created ${paths.promptFile} with RALPHIO instructions`);
+
+    console.log('\n🎉 RALPHIO initialization complete!');
+    console.log('📝 Next steps:');
+    console.log(`   1. Edit ${paths.planFile} to add your tasks`);
+    console.log('   2. Run: ralphio --once (single task)');
+    console.log('   3. Or run: ralphio --until-success (all tasks)');
+
+  } catch (error) {
+    console.error('❌ Failed to initialize agent structure:', error.message);
+    process.exit(1);
+  }
+}
+
+
+// --parse-prd: the PRD is split into its heading sections, and only sections that are new or
+// changed since the last import go to the agent. Its answer is validated line by line before
+// anything reaches the plan.
+const PRD_MAX_STORY_POINTS = 2;
+const PRD_DUPLICATE_SIMILARITY = 0.75; // Keyword overlap from which a generated task repeats a planned one
+
+// Section titles end up in "(prd: ...)" tags, so they can't hold parentheses
+function cleanPrdTitle(title) {
+  return title.replace(/[()]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// The PRD's heading sections, in file order: { title, text, hash }. Text before the first
+// heading is filed under `fallbackTitle`; a repeated heading continues the earlier section.
+function splitPrdSections(content, fallbackTitle) {
+  const crypto = require('crypto');
+  const sections = [];
+  let current = null;
+  let inFence = false;
+
+  for (const rawLine of content.split('\n')) {
+    const line = rawLine.replace(/\r$/, '');
+    if (FENCE_LINE.test(line)) inFence = !inFence;
+    const heading = !inFence && line.match(HEADING_LINE);
+    if (heading || !current) {
+      const title = cleanPrdTitle(heading ? heading[2] : fallbackTitle);
+      current = sections.find(section => section.title.toLowerCase() === title.toLowerCase());
+      if (!current) {
+        current = { title, lines: [], body: '' };
+        sections.push(current);
+      }
+      if (heading) {
+        current.lines.push(line);
+        continue;
+      }
+    }
+    current.lines.push(line);
+    current.body += line.trim();
+  }
+
+  return sections.map(({ title, lines, body }) => {
+    const text = lines.join('\n').trim();
+    return {
+      title,
+      text,
+      hasBody: body.length > 0, // Heading-only sections (a title over subsections) have nothing to parse
+      hash: crypto.createHash('sha1').update(text.replace(/\s+/g, ' ')).digest('hex').slice(0, 12)
+    };
+  });
+}
+
+// Share of keywords two task titles have in common (1 for the same title)
+function taskSimilarity(a, b) {
+  if (a.toLowerCase() === b.toLowerCase()) return 1;
+  const wordsA = memoryKeywords(a);
+  const wordsB = memoryKeywords(b);
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  const total = new Set([...wordsA, ...wordsB]).size;
+  return total === 0 ? 0 : shared / total;
+}
+
+// Read the agent's answer: top-level "- [ ]" items with at most PRD_MAX_STORY_POINTS points,
+// grouped under "## <PRD section>" headings. Fences are unwrapped; anything else is chatter.
+// `firstId` is the id the first task line gets, which its "(depends: N)" annotations count from.
+function parsePrdOutput(output, sectionTitles, firstId) {
+  const tasks = [];
+  const rejected = [];
+  const ignored = [];
+  const strayHeadings = [];
+  let section = sectionTitles.length === 1 ? sectionTitles[0] : null;
+  let id = firstId;
+
+  for (const rawLine of output.split('\n')) {
+    const line = rawLine.replace(/\r$/, '');
+    if (FENCE_LINE.test(line)) continue;
+
+    const heading = line.match(HEADING_LINE);
+    if (heading) {
+      const title = cleanPrdTitle(heading[2]);
+      section = sectionTitles.find(known => known.toLowerCase() === title.toLowerCase()) || title;
+      if (!sectionTitles.includes(section) && !strayHeadings.includes(section)) strayHeadings.push(section);
+      continue;
+    }
+
+    const match = line.match(TASK_LINE);
+    if (!match) {
+      if (line.trim()) ignored.push(line.trim());
+      continue;
+    }
+
+    const text = match[3].trim();
+    const parts = parseTaskText(text);
+    let reason = null;
+    if (match[1]) {
+      reason = 'nested under another task - PRD tasks must be top-level';
+    } else if (match[2] !== ' ') {
+      reason = 'not an open "- [ ]" task';
+    } else if (parts.points === null) {
+      reason = 'no story points';
+    } else if (parts.points > PRD_MAX_STORY_POINTS) {
+      reason = `${parts.points} stories - tasks must be ${PRD_MAX_STORY_POINTS} or less`;
+    }
+
+    if (reason) {
+      rejected.push({ text, reason, id: match[1] ? null : String(id) });
+    } else {
+      tasks.push({ id: String(id), text, ...parts, section });
+    }
+    if (!match[1]) id++;
+  }
+
+  return { tasks, rejected, ignored, strayHeadings };
+}
+
+// Drop generated tasks that repeat a planned task (or an earlier one in the answer), point
+// dependencies on them at the task they repeat, and put every task after the ones it depends on.
+// Returns the tasks to add with their final ids and dependencies, plus what was changed.
+function mergePrdTasks(plan, generated) {
+  const duplicates = [];
+  const kept = [];
+  const replacedBy = new Map(); // Generated id -> the id of the task it repeats
+
+  for (const task of generated) {
+    const candidates = [...plan.tasks, ...kept];
+    const original = candidates.find(candidate => taskSimilarity(task.title, candidate.title) >= PRD_DUPLICATE_SIMILARITY);
+    if (original) {
+      duplicates.push({ task, original });
+      replacedBy.set(task.id, original.id);
+    } else {
+      kept.push(task);
+    }
+  }
+
+  // Dependencies in the answer: planned ids stay, generated ones are resolved to a kept task
+  const keptById = new Map(kept.map(task => [task.id, task]));
+  const droppedDependencies = [];
+  for (const task of kept) {
+    task.plannedDependencies = [];
+    task.generatedDependencies = [];
+    for (const dependency of task.dependsOn) {
+      let target = dependency;
+      while (replacedBy.has(target)) target = replacedBy.get(target);
+      if (keptById.has(target)) {
+        if (target !== task.id) task.generatedDependencies.push(keptById.get(target));
+      } else if (findTask(plan, target)) {
+        task.plannedDependencies.push(target);
+      } else {
+        droppedDependencies.push({ task, dependency });
+      }
+    }
+  }
+
+  // Stable topological order: the first task whose dependencies are all placed goes next
+  const ordered = [];
+  let cycle = null;
+  const pending = [...kept];
+  while (pending.length > 0) {
+    let index = pending.findIndex(task => task.generatedDependencies.every(dependency => ordered.includes(dependency)));
+    if (index === -1) {
+      cycle = cycle || pending.map(task => task.title);
+      index = 0;
+    }
+    ordered.push(...pending.splice(index, 1));
+  }
+  // Tasks the answer listed before something they depend on
+  const moved = kept.flatMap(task => task.generatedDependencies
+    .filter(dependency => kept.indexOf(dependency) > kept.indexOf(task) && ordered.indexOf(dependency) < ordered.indexOf(task))
+    .map(dependency => ({ task, dependency })));
+
+  const base = plan.roots.length;
+  const finalId = new Map(ordered.map((task, index) => [task, String(base + index + 1)]));
+  const tasks = ordered.map(task => ({
+    ...task,
+    id: finalId.get(task),
+    dependsOn: [...task.plannedDependencies, ...task.generatedDependencies.map(dependency => finalId.get(dependency))]
+  }));
+
+  return { tasks, duplicates, droppedDependencies, moved, cycle };
+}
+
+function formatPrdTaskLine(task) {
+  const commentMatch = task.text.match(/\s+#\s+.*$/);
+  const text = task.text
+    .replace(/\s+#\s+.*$/, '')
+    .replace(/\s*\(depends(?: on)?:[^)]*\)/gi, '')
+    .replace(/\s*\(prd:[^)]*\)/gi, '')
+    .trim();
+  const dependsOn = task.dependsOn.length > 0 ? ` (depends: ${task.dependsOn.join(', ')})` : '';
+  const source = task.section ? ` (prd: ${task.section})` : '';
+  return `- [ ] ${text}${dependsOn}${source}${commentMatch ? commentMatch[0] : ''}`;
+}
+
+// Unified diff of a change that only touches the end of a file
+function formatTailDiff(file, before, after) {
+  const lines = (content) => {
+    const split = content.split('\n');
+    if (split[split.length - 1] === '') split.pop();
+    return split;
+  };
+  const old = lines(before);
+  const updated = lines(after);
+  let common = 0;
+  while (common < old.length && common < updated.length && old[common] === updated[common]) common++;
+  const start = Math.max(0, common - 3);
+
+  return [
+    `--- a/${file}`,
+    `+++ b/${file}`,
+    `@@ -${start + 1},${old.length - start} +${start + 1},${updated.length - start} @@`,
+    ...old.slice(start, common).map(line => ` ${line}`),
+    ...old.slice(common).map(line => `-${line}`),
+    ...updated.slice(common).map(line => `+${line}`)
+  ].join('\n');
+}
+
+// Parse PRD and generate tasks
+async function parsePRD(prdFile, { dryRun = false } = {}) {
+  const { planFile } = getConfig().paths;
+
+  try {
+    // Check if PRD file exists
+    if (!fs.existsSync(prdFile)) {
+      console.error(`❌ PRD file not found: ${prdFile}`);
+      return false;
+    }
+
+    // Ensure .agent structure exists
+    if (!fs.existsSync(planFile)) {
+      console.error(`❌ No ${planFile} found. Run "ralphio init" first.`);
+      return false;
+    }
+
+    // Read PRD content
+    const prdContent = fs.readFileSync(prdFile, 'utf8');
+    console.log(`📖 Reading PRD from ${prdFile}...`);
+
+    // Sections whose text changed since the last import (state.prdImports) are parsed again
+    const prdKey = path.relative(process.cwd(), path.resolve(prdFile));
+    const imported = (readState().prdImports || {})[prdKey] || {};
+    const sections = splitPrdSections(prdContent, path.basename(prdFile, path.extname(prdFile)));
+    const toParse = sections.filter(section => section.hasBody && imported[section.title] !== section.hash);
+    const updated = toParse.filter(section => Object.hasOwn(imported, section.title));
+    const unchanged = sections.filter(section => section.hasBody && imported[section.title] === section.hash);
+
+    for (const title of Object.keys(imported).filter(title => !sections.some(section => section.title === title))) {
+      console.log(`ℹ️  Section "${title}" is no longer in ${prdFile} - its tasks stay in ${planFile}`);
+    }
+    // A parsed section counts as imported once some of its tasks are in the plan - added now or
+    // already there. One whose tasks were all rejected keeps its old hash (if any), so the next
+    // --parse-prd sends it again.
+    const recordImport = (importedSections = new Set(toParse.map(section => section.title))) => {
+      if (dryRun) return;
+      const hashes = {};
+      for (const section of sections.filter(candidate => candidate.hasBody)) {
+        const parsed = toParse.includes(section);
+        if (!parsed || importedSections.has(section.title)) hashes[section.title] = section.hash;
+        else if (Object.hasOwn(imported, section.title)) hashes[section.title] = imported[section.title];
+      }
+      updateState({ prdImports: { ...(readState().prdImports || {}), [prdKey]: hashes } });
+    };
+
+    if (toParse.length === 0) {
+      console.log(`✅ No new or changed sections in ${prdFile} since the last import - nothing to add`);
+      recordImport();
+      return true;
+    }
+    if (unchanged.length > 0 || updated.length > 0) {
+      console.log(`📑 Parsing ${toParse.length} new or changed sections (${unchanged.length} unchanged since the last import): ${toParse.map(section => section.title).join(', ')}`);
+    }
+
+    // Read current planning.md to check existing tasks
+    const currentPlanning = fs.readFileSync(planFile, 'utf8');
+    const plan = parsePlan(currentPlanning);
+    const firstId = plan.roots.length + 1;
+
+    // Build the full prompt - ensure it asks for ONLY the task list
+    const fullPrompt = renderPrompt('parse_prd_tdd_prompt.md', getPromptVariables({
+      prd: toParse.map(section => section.text).join('\n\n'),
+      prdFile,
+      plan: currentPlanning,
+      firstTaskId: firstId,
+      updatedSections: updated.map(section => section.title).join(', ')
+    })) + '\n\nIMPORTANT: Output ONLY the task list in markdown format with story points. No explanations, no preamble, no tool calls.';
+
+    console.log('🧠 Analyzing PRD and generating tasks...');
+
+    // Call Claude to parse PRD
+    const generatedTasks = await queryForText(fullPrompt);
+
+    if (!generatedTasks) {
+      console.error('❌ Failed to generate tasks from PRD');
+      return false;
+    }
+
+    const sectionTitles = sections.map(section => section.title);
+    const answer = parsePrdOutput(generatedTasks, sectionTitles, firstId);
+    if (answer.ignored.length > 0) {
+      console.log(`⚠️  Ignored ${answer.ignored.length} lines of the answer that are not tasks (first: "${answer.ignored[0]}")`);
+    }
+    for (const heading of answer.strayHeadings) {
+      console.log(`⚠️  "${heading}" is not a section of ${prdFile} - its tasks are tagged with it anyway`);
+    }
+    for (const { text, reason } of answer.rejected) {
+      console.log(`❌ Rejected "${text}": ${reason}`);
+    }
+    if (answer.tasks.length === 0) {
+      console.error(`❌ No usable tasks in the answer - ${planFile} not changed`);
+      logToFile(`PRD parsing produced no usable tasks (${answer.rejected.length} rejected, ${answer.ignored.length} other lines)`, 'ERROR');
+      return false;
+    }
+
+    const merged = mergePrdTasks(plan, answer.tasks);
+    for (const { task, original } of merged.duplicates) {
+      console.log(`🔁 Skipped "${task.text}": repeats task ${original.id} "${original.text}"`);
+    }
+    for (const { task, dependency } of merged.droppedDependencies) {
+      console.log(`⚠️  "${task.title}" depends on ${dependency}, which is neither in the plan nor imported - dependency dropped`);
+    }
+    for (const { task, dependency } of merged.moved) {
+      console.log(`↕️  Moved "${task.title}" below "${dependency.title}", which it depends on`);
+    }
+    if (merged.cycle) {
+      console.log(`⚠️  Circular dependencies between: ${merged.cycle.join(', ')} - left in the order given`);
+    }
+    const importedSections = new Set([...merged.tasks, ...merged.duplicates.map(({ task }) => task)].map(task => task.section));
+    for (const section of toParse.filter(candidate => !importedSections.has(candidate.title))) {
+      console.log(`⚠️  No task from section "${section.title}" was imported - it is parsed again next time`);
+    }
+
+    if (merged.tasks.length === 0) {
+      console.log(`✅ Every task in the answer is already in ${planFile} - nothing to add`);
+      recordImport(importedSections);
+      return true;
+    }
+
+    const heading = `## Tasks from PRD (${new Date().toISOString().split('T')[0]})`;
+    const nextPlanning = `${currentPlanning.replace(/\s+$/, '')}\n\n${heading}\n${merged.tasks.map(formatPrdTaskLine).join('\n')}\n`;
+
+    if (dryRun) {
+      console.log(formatTailDiff(planFile.replace(/^\.\//, ''), currentPlanning, nextPlanning));
+      console.log(`🔍 Dry run - ${planFile} not changed (${merged.tasks.length} tasks would be added)`);
+      return true;
+    }
+
+    fs.writeFileSync(planFile, nextPlanning);
+    recordImport(importedSections);
+    logToFile(`Imported ${merged.tasks.length} tasks from ${prdFile} (${answer.rejected.length} rejected, ${merged.duplicates.length} duplicates)`, 'INFO');
+
+    console.log(`✅ Added ${merged.tasks.length} tasks to ${planFile}`);
+    console.log('📝 Review the tasks and run "ralphio --once" or "ralphio --until-success" to start implementation');
+
+    return true;
+  } catch (error) {
+    console.error('❌ Error parsing PRD:', error.message);
+    logToFile(`PRD parsing error: ${error.message}`, 'ERROR');
+    return false;
+  }
+}
+
+// GitHub issues: "ralphio import" turns issues into tasks tagged "(issue: #N)", and when a loop
+// completes one of them the issue hears about it through the same API client
+
+// Client for a GitHub-compatible issues API (issues.apiUrl)
+function createIssueTracker({ repo, apiUrl, tokenEnv } = getConfig().issues) {
+  if (!repo || !/^[\w.-]+\/[\w.-]+$/.test(repo)) {
+    throw new Error(`issues.repo must be "owner/name" (got ${JSON.stringify(repo)})`);
+  }
+  const token = process.env[tokenEnv];
+  const baseUrl = `${apiUrl.replace(/\/+$/, '')}/repos/${repo}`;
+
+  const request = async (method, route, body = null) => {
+    const response = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: {
+        Accept: 'application/vnd.github+json',
+        'User-Agent': 'ralphio',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    if (!response.ok) {
+      let message = text.trim();
+      try {
+        message = JSON.parse(text).message || message;
+      } catch (error) {
+        // Not JSON - keep the raw text
+      }
+      throw new Error(`${method} ${baseUrl}${route}: ${response.status} ${message}`.trim());
+    }
+    return text ? JSON.parse(text) : null;
+  };
+
+  return {
+    name: `${repo} on ${apiUrl}`,
+    canWrite: Boolean(token),
+    tokenEnv,
+
+    async listIssues({ label = null } = {}) {
+      const issues = [];
+      for (let page = 1; ; page++) {
+        const batch = await request('GET', `/issues?state=open&per_page=100&page=${page}${label ? `&labels=${encodeURIComponent(label)}` : ''}`);
+        if (!Array.isArray(batch)) throw new Error(`${baseUrl}/issues did not return a list`);
+        issues.push(...batch.filter(issue => !issue.pull_request)); // The issues endpoint lists pull requests too
+        if (batch.length < 100) return issues;
+      }
+    },
+
+    comment: (number, body) => request('POST', `/issues/${number}/comments`, { body }),
+    close: (number) => request('PATCH', `/issues/${number}`, { state: 'closed', state_reason: 'completed' })
+  };
+}
+
+// One shape for API issues and "gh issue list --json number,title,body,labels,state,url" entries
+function normalizeIssue(issue, index) {
+  if (!issue || !Number.isInteger(issue.number) || typeof issue.title !== 'string' || !issue.title.trim()) {
+    throw new Error(`Issue ${index + 1} needs a number and a title`);
+  }
+  return {
+    number: issue.number,
+    title: issue.title.replace(/\s+/g, ' ').trim(),
+    body: typeof issue.body === 'string' ? issue.body : '',
+    labels: (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name)).filter(Boolean),
+    open: !issue.state || String(issue.state).toLowerCase() === 'open',
+    url: issue.html_url || issue.url || null
+  };
+}
+
+function readIssueExport(file) {
+  let issues;
+  try {
+    issues = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+  if (!Array.isArray(issues)) {
+    throw new Error(`${file} must hold a list of issues, like the output of "gh issue list --json number,title,body,labels,state,url"`);
+  }
+  return issues;
+}
+
+// The task line for an issue, with its link and (shortened) description as notes.
+// A P0-P3 label becomes the task's priority tag.
+function formatIssueLines(issue) {
+  const priority = issue.labels.map(label => label.match(/^P([0-3])$/i)).find(Boolean);
+  const lines = [`- [ ] ${issue.title}${priority ? ` [P${priority[1]}]` : ''} (issue: #${issue.number})`];
+  if (issue.url) lines.push(`  - Issue: ${issue.url}`);
+
+  const body = issue.body.replace(/\s+/g, ' ').trim();
+  if (body) lines.push(`  - Details: ${body.length > 500 ? `${body.slice(0, 497)}...` : body}`);
+  return lines;
+}
+
+// ralphio import <export.json|github> [--label <name>] [--repo owner/name]
+// Adds the open issues that aren't in the plan yet under a dated heading.
+async function importIssues(source, { label = null, repo = null } = {}) {
+  const { paths, issues: issuesConfig } = getConfig();
+
+  try {
+    if (!fs.existsSync(paths.planFile)) {
+      console.error(`❌ No ${paths.planFile} found. Run "ralphio init" first.`);
+      return false;
+    }
+
+    let issues;
+    if (source === 'github') {
+      const tracker = createIssueTracker({ ...issuesConfig, repo: repo || issuesConfig.repo });
+      console.log(`📥 Reading open issues from ${tracker.name}...`);
+      issues = await tracker.listIssues({ label });
+    } else {
+      if (!fs.existsSync(source)) {
+        console.error(`❌ Issue export not found: ${source}`);
+        return false;
+      }
+      console.log(`📥 Reading issues from ${source}...`);
+      issues = readIssueExport(source);
+    }
+    issues = issues
+      .map(normalizeIssue)
+      .filter(issue => !label || issue.labels.includes(label))
+      .sort((a, b) => a.number - b.number);
+
+    const content = fs.readFileSync(paths.planFile, 'utf8');
+    const planned = new Map(parsePlan(content).tasks.filter(task => task.issue !== null).map(task => [task.issue, task]));
+
+    for (const issue of issues.filter(issue => !issue.open && planned.has(issue.number))) {
+      const task = planned.get(issue.number);
+      if (task.status === 'todo') console.log(`ℹ️  Issue #${issue.number} is closed, but task ${task.id} is still open: ${task.text}`);
+    }
+
+    const open = issues.filter(issue => issue.open);
+    const fresh = open.filter(issue => !planned.has(issue.number));
+    if (fresh.length === 0) {
+      console.log(`✅ All ${open.length} open issues are already in ${paths.planFile} - nothing to add`);
+      return true;
+    }
+
+    const heading = `## Tasks from issues (${new Date().toISOString().split('T')[0]})`;
+    fs.writeFileSync(paths.planFile, `${content.replace(/\s+$/, '')}\n\n${heading}\n${fresh.flatMap(formatIssueLines).join('\n')}\n`);
+    logToFile(`Imported ${fresh.length} issues from ${source} (${open.length - fresh.length} already planned)`, 'INFO');
+
+    console.log(`✅ Added ${fresh.length} issues to ${paths.planFile}${open.length > fresh.length ? ` (${open.length - fresh.length} already planned)` : ''}`);
+    if (issuesConfig.onComplete !== 'off' && !(repo || issuesConfig.repo)) {
+      console.log('ℹ️  Set issues.repo in agent.config.json to have completed tasks reported on their issues');
+    }
+    return true;
+  } catch (error) {
+    console.error('❌ Error importing issues:', error.message);
+    logToFile(`Issue import error: ${error.message}`, 'ERROR');
+    return false;
+  }
+}
+
+// A loop completed `task`: comment on the issue of the task, and of every ancestor it
+// completed, linking `commit` - and close them with issues.onComplete "close". Problems are
+// only reported: the work is done and committed either way.
+async function reportCompletedIssues(task, commit) {
+  const { issues: issuesConfig } = getConfig();
+  if (issuesConfig.onComplete === 'off') return;
+
+  try {
+    const plan = readPlan();
+    const current = findTaskByText(plan, task.text);
+    if (!current) return;
+    const completed = [current, ...getAncestors(plan, current)].filter(done => done.issue !== null && isTaskComplete(done));
+    if (completed.length === 0) return;
+
+    const numbers = completed.map(done => `#${done.issue}`).join(', ');
+    if (!issuesConfig.repo) {
+      console.warn(`⚠️ Not updating issue ${numbers}: issues.repo is not set`);
+      return;
+    }
+    const tracker = createIssueTracker();
+    if (!tracker.canWrite) {
+      console.warn(`⚠️ Not updating issue ${numbers}: ${tracker.tokenEnv} is not set`);
+      return;
+    }
+
+    for (const done of completed) {
+      try {
+        await tracker.comment(done.issue, `Completed by ralphio${commit ? ` in ${commit}` : ''}: task ${done.id} "${done.title}"`);
+        if (issuesConfig.onComplete === 'close') await tracker.close(done.issue);
+        console.log(`🔗 ${issuesConfig.onComplete === 'close' ? 'Closed' : 'Commented on'} issue #${done.issue}`);
+        logToFile(`Reported task ${done.id} on issue #${done.issue} (${issuesConfig.onComplete})`, 'INFO');
+      } catch (error) {
+        console.warn(`⚠️ Could not update issue #${done.issue}: ${error.message}`);
+        logToFile(`Issue update failed for #${done.issue}: ${error.message}`, 'WARNING');
+      }
+    }
+  } catch (error) {
+    console.warn(`⚠️ Could not report the completed task on its issue: ${error.message}`);
+    logToFile(`Issue reporting failed: ${error.message}`, 'WARNING');
+  }
+}
+
+// Resolve "--expand <task>" - a task id or a case-insensitive piece of its text
+function selectTaskToExpand(tasks, selector) {
+  const byId = tasks.find(task => task.id === selector);
+  if (byId) return byId;
+
+  const needle = selector.toLowerCase();
+  const matches = tasks.filter(task => task.status === 'todo' && task.text.toLowerCase().includes(needle));
+  if (matches.length === 0) {
+    throw new Error(`No unchecked task matches "${selector}"`);
+  }
+  if (matches.length > 1) {
+    const listing = matches.slice(0, 5).map(task => `   ${task.id}: ${task.text}`).join('\n');
+    throw new Error(`"${selector}" matches ${matches.length} tasks - be more specific or use the task id:\n${listing}`);
+  }
+  return matches[0];
+}
+
+// Pull the JSON array of subtasks out of the model answer (tolerates fences and chatter)
+function parseSubtasks(output) {
+  const start = output.indexOf('[');
+  const end = output.lastIndexOf(']');
+  if (start === -1 || end <= start) {
+    throw new Error('Model did not return a JSON array of subtasks');
+  }
+
+  let subtasks;
+  try {
+    subtasks = JSON.parse(output.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`Could not parse subtasks JSON: ${error.message}`);
+  }
+
+  subtasks = Array.isArray(subtasks)
+    ? subtasks.filter(subtask => subtask && typeof subtask.title === 'string' && subtask.title.trim())
+    : [];
+  if (subtasks.length === 0) {
+    throw new Error('Model returned no usable subtasks');
+  }
+  return subtasks;
+}
+
+function formatSubtaskLines(subtask, indent, dependsOn = []) {
+  const oneLine = (text) => String(text).replace(/\s+/g, ' ').trim();
+  const points = Math.min(Math.max(parseInt(subtask.storyPoints, 10) || 1, 1), 2);
+  const depends = dependsOn.length > 0 ? ` (depends: ${dependsOn.join(', ')})` : '';
+  const lines = [`${indent}- [ ] ${oneLine(subtask.title)} (${points} ${points === 1 ? 'story' : 'stories'})${depends}`];
+
+  if (subtask.description) lines.push(`${indent}  - ${oneLine(subtask.description)}`);
+  if (subtask.details) lines.push(`${indent}  - Details: ${oneLine(subtask.details)}`);
+  if (subtask.testStrategy) lines.push(`${indent}  - Test strategy: ${oneLine(subtask.testStrategy)}`);
+  return lines;
+}
+
+// Break one task into subtasks with expand_task_prompt.md and insert them under it in place
+async function expandTask(task) {
+  const { planFile } = getConfig().paths;
+  const planning = fs.readFileSync(planFile, 'utf8');
+
+  const prompt = renderPrompt('expand_task_prompt.md', getPromptVariables({
+    // Indented notes under the task give the model its "current details"
+    task: { ...describeTaskForPrompt(task), description: task.text, details: task.notes.join('\n') },
+    additionalContext: `This task lives in ${planFile}:\n${planning}`
+  })) + `
+
+nextSubtaskId: 1 (subtask ids become ${task.id}.1, ${task.id}.2, ...)
+
+IMPORTANT: Do NOT edit any files - RALPHIO inserts the subtasks into ${planFile} itself.
+Output ONLY a JSON array. Each element: {"id": 1, "title": "...", "description": "...", "dependencies": ["${task.id}.1"], "details": "...", "testStrategy": "...", "storyPoints": 1}
+storyPoints must be 1 or 2. No explanations, no preamble, no code block markers.`;
+
+  console.log(`🧠 Expanding task ${task.id}: ${task.text}`);
+  const output = await queryForText(prompt, {
+    maxTurns: 20, // Room for the Glob/Grep/Read analysis the prompt asks for
+    disallowedTools: ['Edit', 'MultiEdit', 'Write', 'NotebookEdit', 'Bash'],
+    task: { id: task.id, text: task.text }
+  });
+  const subtasks = parseSubtasks(output);
+
+  // Re-read: the plan may have been edited while the model was working
+  const plan = readPlan(planFile);
+  const current = plan.tasks.find(candidate => candidate.line === task.line);
+  if (!current || current.text !== task.text) {
+    throw new Error(`${planFile} changed while expanding - task ${task.id} is no longer on line ${task.line + 1}`);
+  }
+
+  // The model numbers subtasks from 1 and names dependencies as "<task id>.N" (or just N);
+  // in the plan they become <task id>.<position>, after any subtasks the task already has.
+  // Dependencies on other tasks in the plan are kept, anything else is dropped.
+  const subtaskIds = new Map(subtasks.map((subtask, index) => [
+    String(subtask.id === undefined ? index + 1 : subtask.id),
+    `${current.id}.${current.children.length + index + 1}`
+  ]));
+  const resolveDependency = (dependency) => {
+    const id = String(dependency).trim();
+    const local = id.startsWith(`${task.id}.`) ? id.slice(task.id.length + 1) : id;
+    if (subtaskIds.has(local)) return subtaskIds.get(local);
+    return plan.tasks.some(candidate => candidate.id === id) ? id : null;
+  };
+  const subtaskLines = subtasks.flatMap((subtask, index) => {
+    const ownId = `${current.id}.${current.children.length + index + 1}`;
+    const dependsOn = (Array.isArray(subtask.dependencies) ? subtask.dependencies : [])
+      .map(resolveDependency)
+      .filter((id, position, ids) => id && id !== ownId && ids.indexOf(id) === position);
+    return formatSubtaskLines(subtask, current.indent + '  ', dependsOn);
+  });
+  plan.lines.splice(current.endLine, 0, ...subtaskLines);
+  setTaskStatus(plan, current, 'broken-down');
+  writePlan(plan, planFile);
+
+  console.log(`✅ Added ${subtasks.length} subtasks under task ${task.id}`);
+  logToFile(`Expanded task ${task.id} "${task.text}" into ${subtasks.length} subtasks`, 'INFO');
+  return subtasks.length;
+}
+
+// ralphio --expand <task> / --expand-all [N]
+async function expandTasks({ selector, threshold }) {
+  const { planFile } = getConfig().paths;
+
+  try {
+    if (!fs.existsSync(planFile)) {
+      console.error(`❌ No ${planFile} found. Run "ralphio init" first.`);
+      return false;
+    }
+
+    const { tasks } = readPlan(planFile);
+
+    if (selector) {
+      const task = selectTaskToExpand(tasks, selector);
+      if (task.status !== 'todo') {
+        console.error(`❌ Task ${task.id} is already checked: ${task.text}`);
+        return false;
+      }
+      await expandTask(task);
+      return true;
+    }
+
+    const candidates = tasks.filter(task => task.status === 'todo' && task.points !== null && task.points > threshold);
+    if (candidates.length === 0) {
+      console.log(`✅ No unchecked tasks over ${threshold} story points - nothing to expand`);
+      return true;
+    }
+
+    console.log(`📋 Expanding ${candidates.length} tasks over ${threshold} story points...`);
+
+    // Bottom-up, so inserting subtasks never shifts the line of a task still waiting
+    let failures = 0;
+    for (const task of candidates.reverse()) {
+      try {
+        await expandTask(task);
+      } catch (error) {
+        failures++;
+        console.error(`❌ Could not expand task ${task.id}: ${error.message}`);
+        logToFile(`Expand failed for task ${task.id}: ${error.message}`, 'ERROR');
+      }
+    }
+    return failures === 0;
+  } catch (error) {
+    console.error('❌ Error expanding tasks:', error.message);
+    logToFile(`Expand error: ${error.message}`, 'ERROR');
+    return false;
+  }
+}
+
+// Read iteration history back out of the daily logs (oldest first)
+function readIterationHistory() {
+  const { logsDir } = getConfig().paths;
+  if (!fs.existsSync(logsDir)) return [];
+
+  const logFiles = fs.readdirSync(logsDir)
+    .filter(name => /^ralphio_\d{4}-\d{2}-\d{2}\.log$/.test(name))
+    .sort();
+
+  const iterations = [];
+  let current = null;
+  const finish = (outcome, timestamp) => {
+    if (current && current.outcome === 'running') {
+      current.outcome = outcome;
+      current.endedAt = timestamp;
+    }
+  };
+
+  for (const logFile of logFiles) {
+    const content = fs.readFileSync(path.join(logsDir, logFile), 'utf8');
+    for (const line of content.split('\n')) {
+      const entry = line.match(/^\[([^\]]+)\] \[([A-Z]+)\] (.*)$/);
+      if (!entry) continue;
+      const [, timestamp, type, message] = entry;
+
+      let match;
+      if (type === 'START') {
+        // A new run - whatever was still open never reported back
+        finish('incomplete', null);
+        current = null;
+      } else if ((match = message.match(/^ITERATION (\d+)\/\d+ - Starting/))) {
+        finish('incomplete', null);
+        current = { iteration: parseInt(match[1], 10), startedAt: timestamp, endedAt: null, task: null, outcome: 'running', error: null };
+        iterations.push(current);
+      } else if (type === 'TASK' && (match = message.match(/^Picked task ([\d.]+): (.*)$/))) {
+        if (!current || current.outcome !== 'running') {
+          // --once runs have no ITERATION banner
+          current = { iteration: 1, startedAt: timestamp, endedAt: null, task: null, outcome: 'running', error: null };
+          iterations.push(current);
+        }
+        current.task = { id: match[1], text: match[2] };
+      } else if (/^ITERATION \d+ COMPLETED SUCCESSFULLY$/.test(message) || message === 'RALPHIO single iteration completed successfully') {
+        finish('success', timestamp);
+      } else if (/^ITERATION \d+ FAILED$/.test(message) || message === 'RALPHIO single iteration failed') {
+        finish('failure', timestamp);
+      } else if (type === 'ERROR' && current && current.outcome !== 'success' && !current.error) {
+        current.error = message.replace(/^(❌ RALPHIO failed: |Error: )/, '');
+      }
+    }
+  }
+
+  return iterations;
+}
+
+// Done/remaining tasks and story points. Broken-down parents are left out of the
+// points - their subtasks carry them.
+function summarizeTasks(tasks) {
+  const counts = countTasks(tasks);
+  const points = { done: 0, remaining: 0 };
+  for (const task of tasks) {
+    if (task.points === null) continue;
+    if (task.status === 'done') points.done += task.points;
+    if (task.status === 'todo') points.remaining += task.points;
+  }
+  return {
+    tasks: { total: counts.total, done: counts.done, remaining: counts.todo, brokenDown: counts['broken-down'], blocked: counts.blocked },
+    points
+  };
+}
+
+function buildStatusReport(lastIterations) {
+  const { planFile } = getConfig().paths;
+  const plan = readPlan(planFile);
+
+  const sectionTitles = [...new Set(plan.tasks.map(task => task.section))];
+  const nextTask = findNextTask(plan);
+  const waiting = findWaitingTasks(plan);
+  const { taskAttempts = {} } = readState();
+
+  return {
+    planFile,
+    ...summarizeTasks(plan.tasks),
+    sections: sectionTitles.map(title => ({
+      title,
+      ...summarizeTasks(plan.tasks.filter(task => task.section === title))
+    })),
+    nextTask: nextTask
+      ? { id: nextTask.id, title: nextTask.title, text: nextTask.text, section: nextTask.section, points: nextTask.points }
+      : null,
+    waiting: waiting.map(({ task, unmet }) => ({ id: task.id, text: task.text, waitingOn: unmet })),
+    blocked: plan.tasks
+      .filter(task => task.status === 'blocked')
+      .map(task => ({ id: task.id, text: task.text, attempts: taskAttempts[task.text] || null })),
+    iterations: lastIterations > 0 ? readIterationHistory().slice(-lastIterations) : [],
+    checkpoint: readState().checkpoint || null
+  };
+}
+
+// ralphio status [--json] [--last N]
+function printStatus({ json, lastIterations }) {
+  const { planFile } = getConfig().paths;
+  if (!fs.existsSync(planFile)) {
+    console.error(`❌ No ${planFile} found. Run "ralphio init" first.`);
+    return false;
+  }
+
+  const report = buildStatusReport(lastIterations);
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+    return true;
+  }
+
+  const { tasks, points } = report;
+  console.log(`📊 RALPHIO status - ${planFile}\n`);
+  console.log(`Tasks:        ${tasks.done} done, ${tasks.remaining} remaining, ${tasks.brokenDown} broken down, ${tasks.blocked} blocked (${tasks.total} total)`);
+  console.log(`Story points: ${points.done} burned, ${points.remaining} remaining`);
+
+  if (report.sections.length > 0) {
+    console.log('\nBy section:');
+    const width = Math.max(...report.sections.map(section => (section.title || '(no section)').length));
+    for (const section of report.sections) {
+      const title = (section.title || '(no section)').padEnd(width);
+      console.log(`   ${title}  ${section.points.done}/${section.points.done + section.points.remaining} pts  (${section.tasks.done} done, ${section.tasks.remaining} remaining)`);
+    }
+  }
+
+  console.log(report.nextTask
+    ? `\n👉 Next task: ${report.nextTask.id} ${report.nextTask.text}`
+    : report.waiting.length > 0 ? '\n⏳ No task is ready to run' : '\n🎉 No unchecked tasks left');
+
+  if (report.blocked.length > 0) {
+    console.log('\n🚧 Blocked (requeue with --retry-blocked):');
+    for (const task of report.blocked) {
+      console.log(`   ${task.id} ${task.text}${task.attempts ? `  (${task.attempts.attempts} attempts, last error: ${task.attempts.lastError})` : ''}`);
+    }
+  }
+
+  if (report.waiting.length > 0) {
+    console.log(`\nWaiting on dependencies:`);
+    for (const task of report.waiting) {
+      console.log(`   ${task.id} ${task.text}  (needs ${task.waitingOn.join(', ')})`);
+    }
+  }
+
+  if (report.checkpoint) {
+    const { checkpoint } = report;
+    console.log(`\n⏸️  Interrupted by ${checkpoint.stoppedBy} at ${checkpoint.at} (iteration ${checkpoint.iteration}) - "ralphio --until-success" continues, --fresh starts over`);
+    if (checkpoint.loop && checkpoint.loop.partialWork.kind === 'stash') {
+      console.log(`   Partial work of task ${checkpoint.loop.task ? checkpoint.loop.task.id : '?'} is stashed as ${checkpoint.loop.partialWork.stash.slice(0, 7)}`);
+    }
+  }
+
+  if (report.iterations.length > 0) {
+    const icons = { success: '✅', failure: '❌', interrupted: '⏸️ ', running: '🔄', incomplete: '⚠️ ' };
+    console.log(`\nLast ${report.iterations.length} iterations:`);
+    for (const iteration of report.iterations) {
+      const task = iteration.task ? `${iteration.task.id} ${iteration.task.text}` : '(unknown task)';
+      console.log(`   ${icons[iteration.outcome]} ${iteration.startedAt}  #${iteration.iteration} ${iteration.outcome.padEnd(10)} ${task}`);
+      if (iteration.error) {
+        console.log(`      Error: ${iteration.error}`);
+      }
+    }
+  }
+
+  return true;
+}
+
+// Conventional commit type for the TDD markers the system prompt uses
+const COMMIT_TYPES = {
+  TEST: 'test',
+  IMPLEMENT: 'feat'
+};
+
+// "<type>: <title>" subject, the full task in the body, and Ralphio-* trailers
+function buildCommitMessage({ task, sessionId, iteration, type = null }) {
+  const { subjectTemplate, defaultType } = getConfig().commit;
+  type = type || (task && task.markers.map(marker => COMMIT_TYPES[marker]).find(Boolean)) || defaultType;
+  const values = {
+    type,
+    title: task ? task.title || task.text : 'task',
+    taskId: task ? task.id : ''
+  };
+
+  let subject = subjectTemplate
+    .replace(/\{(type|title|taskId)\}/g, (_, name) => values[name])
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  // Smart truncation - don't cut words; the body keeps the full task
+  if (subject.length > 72) {
+    subject = subject.substring(0, 72);
+    const lastSpace = subject.lastIndexOf(' ');
+    if (lastSpace > 50) {
+      subject = subject.substring(0, lastSpace); // Cut at word boundary
+    }
+  }
+
+  const trailers = [
+    sessionId && `Ralphio-Session: ${sessionId}`,
+    iteration && `Ralphio-Iteration: ${iteration}`,
+    task && `Ralphio-Task-Id: ${task.id}`
+  ].filter(Boolean);
+
+  return [subject, task ? `Task: ${task.text}` : '', trailers.join('\n')]
+    .filter(Boolean)
+    .join('\n\n') + '\n';
+}
+
+// Auto-commit with task info
+function autoCommitChanges({ task = null, sessionId = null, iteration = null } = {}) {
+  let commitMsg = ''; // Define in function scope for error handler
+
+  try {
+    const { execSync } = require('child_process');
+
+    // Check if there are changes to commit
+    const status = execSync('git status --porcelain', { encoding: 'utf8' });
+    if (!status.trim()) {
+      console.log('\n✅ No uncommitted changes (agent may have already committed)');
+      logToFile('No changes to commit - agent likely already committed', 'INFO');
+      return true;
+    }
+
+    commitMsg = buildCommitMessage({ task, sessionId, iteration });
+    const subject = commitMsg.split('\n')[0];
+
+    // Debug logging
+    console.log(`\n📝 Attempting auto-commit:`);
+    console.log(`   Task: ${task ? `${task.id} "${task.text}"` : 'none'}`);
+    console.log(`   Session: ${sessionId || 'none'}`);
+    console.log(`   Subject: "${subject}"`);
+    logToFile(`Commit attempt - Task: "${task ? task.text : ''}", Message: ${JSON.stringify(commitMsg)}`, 'DEBUG');
+
+    // Stage changes and verify something is actually staged
+    execSync(`git add -A ${getWorkPathspec()}`, { encoding: 'utf8' });
+
+    // Double-check: are there actually staged changes?
+    const stagedChanges = execSync('git diff --cached --stat', { encoding: 'utf8' });
+    if (!stagedChanges.trim()) {
+      // This can happen if files were modified then reverted, or if agent committed
+      console.log('\n✅ No changes to commit after staging (likely already committed)');
+      logToFile('No staged changes - agent likely committed or changes were reverted', 'INFO');
+      return true;
+    }
+
+    // Now commit - message via stdin, so quotes and non-ASCII reach git untouched
+    const { execFileSync } = require('child_process');
+    execFileSync('git', ['commit', '-F', '-'], { input: commitMsg, encoding: 'utf8', stdio: 'pipe' });
+
+    console.log(`✅ AUTO-COMMIT SUCCESS: ${subject}`);
+    logToFile(`Auto-committed: ${subject}`, 'SUCCESS');
+    emitEvent({ type: 'commit', iteration, sha: getHeadCommit(), subject, taskId: task ? task.id : null });
+
+    return true;
+  } catch (error) {
+    // If it's just "nothing to commit", that's fine
+    if (error.message.includes('nothing to commit')) {
+      logToFile('Nothing to commit', 'INFO');
+      return true;
+    }
+
+    // Detailed error debugging
+    console.error(`\n⚠️ Auto-commit failed!`);
+    console.error(`   Error: ${error.message}`);
+    console.error(`   Stderr: ${error.stderr || 'none'}`);
+    console.error(`   Status: ${error.status || 'unknown'}`);
+    console.error(`   Command: git commit -F - <<< ${JSON.stringify(commitMsg)}`);
+
+    logToFile(`Auto-commit failed: ${error.message}`, 'ERROR');
+    logToFile(`Error details - stderr: ${error.stderr}, status: ${error.status}`, 'DEBUG');
+
+    // Try to show git status for debugging
+    try {
+      const debugStatus = execSync('git status --short', { encoding: 'utf8' });
+      console.error(`   Git status:\n${debugStatus.split('\n').map(l => '     ' + l).join('\n')}`);
+    } catch (e) {
+      // Ignore if this fails too
+    }
+
+    return false;
+  }
+}
+
+// Run one verify command in the project; output is trimmed to its tail for logs and prompts
+function runVerifyCommand(command, timeoutMs) {
+  const { spawnSync } = require('child_process');
+  const started = Date.now();
+  const result = spawnSync(command, {
+    shell: true,
+    encoding: 'utf8',
+    timeout: timeoutMs,
+    maxBuffer: 20 * 1024 * 1024
+  });
+
+  let output = `${result.stdout || ''}${result.stderr || ''}`;
+  if (result.error) {
+    output += `\n${result.error.message}`;
+  }
+
+  return {
+    command,
+    passed: result.status === 0,
+    exitCode: result.status,
+    signal: result.signal,
+    durationMs: Date.now() - started,
+    output: output.slice(-4000)
+  };
+}
+
+// Harness-side check that a loop really did its task: verify commands pass and the
+// picked task is no longer unchecked
+function verifyLoop(task) {
+  const { verify, paths } = getConfig();
+  const checks = [];
+
+  for (const command of verify.commands) {
+    console.log(`🔍 Verifying: ${command}`);
+    const check = runVerifyCommand(command, verify.timeoutMs);
+    checks.push(check);
+
+    if (check.passed) {
+      console.log(`   ✅ Passed (${check.durationMs}ms)`);
+    } else {
+      console.log(`   ❌ Failed (${check.signal ? `killed by ${check.signal}` : `exit code ${check.exitCode}`})`);
+      logToFile(`Verify command failed: ${command} (exit ${check.exitCode})`, 'ERROR');
+      break; // Later commands usually depend on earlier ones (build before test)
+    }
+  }
+
+  let taskChecked = null;
+  if (verify.requireTaskChecked && task) {
+    const after = findTaskByText(readPlan(), task.text);
+    taskChecked = Boolean(after && (after.status === 'done' || after.status === 'broken-down'));
+  }
+
+  const failedCheck = checks.find(check => !check.passed);
+  let reason = null;
+  if (failedCheck) {
+    reason = `"${failedCheck.command}" failed (${failedCheck.signal ? `killed by ${failedCheck.signal}` : `exit code ${failedCheck.exitCode}`})`;
+  } else if (taskChecked === false) {
+    reason = `task "${task.text}" is still unchecked in ${resolvePlanFile()}`;
+  }
+
+  return {
+    passed: !reason,
+    reason,
+    taskChecked,
+    checks,
+    output: failedCheck ? failedCheck.output : ''
+  };
+}
+
+// Harness-owned paths (logs, artifacts, state) - never part of a loop's work
+function getHarnessPaths() {
+  const { paths } = getConfig();
+  return [paths.logsDir, paths.artifactsDir, paths.stateFile, paths.controlFile]
+    .map(harnessPath => path.relative(process.cwd(), harnessPath))
+    .filter(harnessPath => !harnessPath.startsWith('..') && !path.isAbsolute(harnessPath)); // --parallel workers log outside their worktree
+}
+
+// Pathspec for "everything but the harness files" (logs, artifacts, state), which keep
+// changing after a commit. Paths .gitignore already covers are skipped: git add and
+// git stash refuse pathspecs that name ignored files.
+function getWorkPathspec() {
+  const excludes = getHarnessPaths()
+    .filter(harnessPath => !isIgnoredPath(harnessPath))
+    .map(harnessPath => `":(exclude)${harnessPath}"`);
+  return ['--', '.', ...excludes].join(' ');
+}
+
+// Clean apart from harness files, which change on every loop
+function isWorkingTreeClean() {
+  try {
+    const { execSync } = require('child_process');
+    const excludes = getHarnessPaths().map(harnessPath => `":(exclude)${harnessPath}"`).join(' ');
+    return !execSync(`git status --porcelain -- . ${excludes}`, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch (error) {
+    return false;
+  }
+}
+
+// The loop's work for the beforeCommit hooks: its diff against the commit it started from
+// (committed or not) and the files it touched, new ones included - within the same
+// pathspec as the auto-commit
+function describeLoopChanges(headBefore) {
+  const { execSync, spawnSync } = require('child_process');
+  const maxBuffer = 50 * 1024 * 1024;
+  const git = gitArgs => execSync(`git ${gitArgs}`, { encoding: 'utf8', stdio: 'pipe', maxBuffer });
+  const pathspec = getWorkPathspec();
+  let diff = headBefore ? git(`diff ${headBefore} ${pathspec}`) : '';
+  const files = new Set(headBefore ? git(`diff --name-only ${headBefore} ${pathspec}`).split('\n').filter(Boolean) : []);
+  for (const line of git(`status --porcelain --untracked-files=all ${pathspec}`).split('\n')) {
+    if (!line.trim()) continue;
+    const file = line.slice(3).replace(/^.* -> /, '');
+    files.add(file);
+    // New files aren't in git diff until they are added
+    if (line.startsWith('??')) {
+      diff += spawnSync('git', ['diff', '--no-index', '--', '/dev/null', file], { encoding: 'utf8', maxBuffer }).stdout || '';
+    }
+  }
+  return { diff, files: [...files].sort() };
+}
+
+function runGit(gitArgs) {
+  const { execSync } = require('child_process');
+  return execSync(`git ${gitArgs}`, { encoding: 'utf8', stdio: 'pipe' }).trim();
+}
+
+// Run a git operation that rewrites the working tree (reset, checkout) without losing
+// harness files that happen to be tracked: their current content is set aside, the
+// files are made clean so git won't refuse, and the content is written back afterwards
+function preservingHarnessFiles(operation) {
+  const harness = getHarnessPaths().map(harnessPath => `"${harnessPath}"`).join(' ');
+  let changed = [];
+  try {
+    changed = runGit(`diff --name-only --relative HEAD -- ${harness}`).split('\n').filter(Boolean);
+  } catch (error) {
+    // No HEAD yet - nothing tracked to protect
+  }
+
+  const saved = changed
+    .filter(file => fs.existsSync(file))
+    .map(file => [file, fs.readFileSync(file)]);
+  if (changed.length > 0) {
+    runGit(`checkout HEAD -- ${changed.map(file => `"${file}"`).join(' ')}`);
+  }
+
+  try {
+    return operation();
+  } finally {
+    for (const [file, content] of saved) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, content);
+    }
+  }
+}
+
+// Undo a failed loop: back to the pre-loop commit, drop files the agent created, and
+// restore planning.md/memory.md (they may be untracked). Everything in .agent survives the clean.
+function rollbackLoop(headBefore, snapshots) {
+  const keep = [getConfig().paths.agentDir, ...getHarnessPaths()]
+    .map(keepPath => `-e "${path.relative(process.cwd(), keepPath)}"`)
+    .join(' ');
+
+  preservingHarnessFiles(() => {
+    runGit(`reset --hard ${headBefore}`);
+    runGit(`clean -fd ${keep}`);
+  });
+  for (const [file, content] of Object.entries(snapshots)) {
+    fs.writeFileSync(file, content);
+  }
+
+  console.log(`↩️  Rolled back to ${headBefore.slice(0, 7)}`);
+  logToFile(`Rolled back failed loop to ${headBefore}`, 'WARNING');
+}
+
+// "ralphio/2-1-add-login-endpoint" - the id keeps same-titled tasks apart
+function getTaskBranchName(task) {
+  const slug = task.title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40)
+    .replace(/-+$/, '');
+  return `${getConfig().git.branchPrefix}${task.id.replace(/\./g, '-')}-${slug || 'task'}`;
+}
+
+// Git safety mode (and --parallel) must start from a clean tree on a real branch (unless forced)
+function checkGitSafety(force, feature = getConfig().git.taskBranches ? 'git.taskBranches' : null) {
+  if (!feature) return true;
+
+  let currentBranch;
+  try {
+    currentBranch = runGit('rev-parse --abbrev-ref HEAD');
+  } catch (error) {
+    console.error(`❌ ${feature} needs a git repository with at least one commit`);
+    return false;
+  }
+  if (currentBranch === 'HEAD') {
+    console.error(`❌ ${feature} needs a checked out branch, not a detached HEAD`);
+    return false;
+  }
+
+  if (!isWorkingTreeClean()) {
+    if (!force) {
+      console.error('❌ Working tree has uncommitted changes. Commit or stash them first, or pass --force.');
+      return false;
+    }
+    console.warn(feature === '--parallel'
+      ? '⚠️ --force: worktrees start from the last commit, so uncommitted changes are not part of any task, and merges may fail'
+      : '⚠️ --force: uncommitted changes will be carried onto the first task branch, and failed loops will not be reset');
+  }
+  return true;
+}
+
+// Switch to a fresh task branch off the base branch
+function startTaskBranch(task) {
+  const baseBranch = getConfig().git.baseBranch || runGit('rev-parse --abbrev-ref HEAD');
+  const taskBranch = getTaskBranchName(task);
+
+  // -B: a branch left behind by an earlier attempt starts over from the base
+  preservingHarnessFiles(() => runGit(`checkout -B "${taskBranch}" "${baseBranch}"`));
+  console.log(`🌿 Working on branch ${taskBranch} (base: ${baseBranch})`);
+  logToFile(`Task branch ${taskBranch} created from ${baseBranch}`, 'INFO');
+  return { baseBranch, taskBranch };
+}
+
+// Verified success: bring the task branch into the base branch and drop it
+function mergeTaskBranch({ baseBranch, taskBranch }) {
+  const { merge } = getConfig().git;
+  try {
+    preservingHarnessFiles(() => {
+      runGit(`checkout "${baseBranch}"`);
+      runGit(merge === 'no-ff'
+        ? `merge --no-ff -m "Merge ${taskBranch}" "${taskBranch}"`
+        : `merge --ff-only "${taskBranch}"`);
+    });
+  } catch (error) {
+    throw new Error(`Could not merge ${taskBranch} into ${baseBranch} (${merge}) - the branch is kept for a manual merge: ${(error.stderr || error.message).trim()}`);
+  }
+  runGit(`branch -d "${taskBranch}"`);
+
+  console.log(`🔀 Merged ${taskBranch} into ${baseBranch}`);
+  logToFile(`Merged ${taskBranch} into ${baseBranch} (${merge})`, 'SUCCESS');
+}
+
+// Failed or timed out: the base branch never saw the loop; remove the task branch
+function abandonTaskBranch({ baseBranch, taskBranch }) {
+  preservingHarnessFiles(() => runGit(`checkout "${baseBranch}"`));
+  runGit(`branch -D "${taskBranch}"`);
+  logToFile(`Abandoned task branch ${taskBranch}`, 'WARNING');
+}
+
+function isTrackedFile(file) {
+  try {
+    runGit(`ls-files --error-unmatch -- "${file}"`);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// check-ignore exits 1 for paths .gitignore doesn't cover
+function isIgnoredPath(file) {
+  try {
+    runGit(`check-ignore -q -- "${file}"`);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Commit just these files (harness edits like blocking a task), so the next loop
+// starts from a clean tree. Skipped outside git; untracked files are left out.
+function commitFiles(subject, files) {
+  const tracked = files.filter(isTrackedFile);
+  if (tracked.length === 0) return false;
+
+  try {
+    const { execFileSync } = require('child_process');
+    execFileSync('git', ['commit', '-F', '-', '--', ...tracked], { input: `${subject}\n`, encoding: 'utf8', stdio: 'pipe' });
+    logToFile(`Committed ${tracked.join(', ')}: ${subject}`, 'INFO');
+    emitEvent({ type: 'commit', iteration: null, sha: getHeadCommit(), subject, taskId: null });
+    return true;
+  } catch (error) {
+    if (!/nothing to commit|no changes added/.test(`${error.stdout}${error.stderr}`)) {
+      console.error(`⚠️ Could not commit ${tracked.join(', ')}: ${error.message}`);
+      logToFile(`Commit of ${tracked.join(', ')} failed: ${error.message}`, 'ERROR');
+    }
+    return false;
+  }
+}
+
+// Count a loop against its task (state.taskAttempts, keyed by task text) and block the
+// task once it has failed loop.maxTaskAttempts times. Returns true if it got blocked.
+function recordTaskAttempt(task, outcome, reason) {
+  const { taskAttempts = {} } = readState();
+
+  if (outcome === 'success') {
+    if (taskAttempts[task.text]) {
+      delete taskAttempts[task.text];
+      updateState({ taskAttempts });
+    }
+    return false;
+  }
+
+  const attempts = (taskAttempts[task.text] ? taskAttempts[task.text].attempts : 0) + 1;
+  taskAttempts[task.text] = { attempts, lastError: reason, lastAttemptAt: new Date().toISOString() };
+  updateState({ taskAttempts });
+
+  const { maxTaskAttempts } = getConfig().loop;
+  if (attempts < maxTaskAttempts) {
+    logToFile(`Task ${task.id} failed ${attempts}/${maxTaskAttempts} attempts`, 'INFO');
+    return false;
+  }
+  return blockTask(task, attempts, reason);
+}
+
+// Mark a task - [!] with a note holding the last error
+function blockTask(taskInfo, attempts, reason) {
+  const plan = readPlan();
+  const task = findTaskByText(plan, taskInfo.text);
+  if (!task || task.status !== 'todo') return false;
+
+  const error = String(reason || 'unknown error').replace(/\s+/g, ' ').trim();
+  const attemptWord = attempts === 1 ? 'attempt' : 'attempts';
+  const note = `${task.indent}  - Blocked after ${attempts} ${attemptWord}: ${error.length > 200 ? `${error.substring(0, 197)}...` : error}`;
+  const carriageReturn = plan.lines[task.line].endsWith('\r') ? '\r' : '';
+  setTaskStatus(plan, task, 'blocked');
+  plan.lines.splice(task.line + 1, 0, note + carriageReturn);
+  writePlan(plan);
+  commitFiles(`chore: block task ${task.id} after ${attempts} failed ${attemptWord}`, [resolvePlanFile()]);
+
+  const message = `🚧 Task ${task.id} blocked after ${attempts} failed ${attemptWord} - moving on: ${task.text}`;
+  console.log(message);
+  logToFile(message, 'BLOCKED');
+  return true;
+}
+
+// --retry-blocked: turn every - [!] back into - [ ] and reset its attempt counter
+function requeueBlockedTasks() {
+  const plan = readPlan();
+  const blocked = plan.tasks.filter(task => task.status === 'blocked');
+  if (blocked.length === 0) return 0;
+
+  const { taskAttempts = {} } = readState();
+  for (const task of blocked) {
+    setTaskStatus(plan, task, 'todo');
+    delete taskAttempts[task.text];
+  }
+  // Drop the "Blocked after ..." notes. A blocked parent's lines include its subtasks', so
+  // collect them all first and remove bottom-up while the line numbers are still valid.
+  const noteLines = new Set();
+  for (const task of blocked) {
+    for (let index = task.line + 1; index < task.endLine; index++) {
+      if (BLOCKED_NOTE.test(plan.lines[index])) noteLines.add(index);
+    }
+  }
+  for (const index of [...noteLines].sort((a, b) => b - a)) plan.lines.splice(index, 1);
+  writePlan(plan);
+  updateState({ taskAttempts });
+  commitFiles(`chore: requeue ${blocked.length} blocked ${blocked.length === 1 ? 'task' : 'tasks'}`, [resolvePlanFile()]);
+
+  for (const task of blocked) {
+    console.log(`🔁 Requeued task ${task.id}: ${task.text}`);
+    logToFile(`Requeued blocked task ${task.id}: ${task.text}`, 'INFO');
+  }
+  return blocked.length;
+}
+
+// Token and cost totals for every loop this process ran
+const runUsage = {
+  iterations: 0,
+  succeeded: 0,
+  failed: 0,
+  interrupted: 0, // Loops stopped by Ctrl-C / SIGTERM - neither a success nor a failure
+  unmetered: 0, // Loops that ended without a result message (timeouts, crashed sessions), so without usage data
+  inputTokens: 0,
+  outputTokens: 0,
+  cacheReadTokens: 0,
+  cacheCreationTokens: 0,
+  turns: 0,
+  costUsd: 0
+};
+
+// Usage and cost from the SDK's final result message
+function extractUsage(resultMessage) {
+  if (!resultMessage) return null;
+  const usage = resultMessage.usage || {};
+  return {
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheReadTokens: usage.cache_read_input_tokens || 0,
+    cacheCreationTokens: usage.cache_creation_input_tokens || 0,
+    turns: resultMessage.num_turns || 0,
+    costUsd: resultMessage.total_cost_usd || 0
+  };
+}
+
+function totalTokens(usage) {
+  return usage.inputTokens + usage.outputTokens + usage.cacheReadTokens + usage.cacheCreationTokens;
+}
+
+function formatUsage(usage) {
+  const count = (value) => value.toLocaleString('en-US');
+  return `${count(usage.inputTokens)} in / ${count(usage.outputTokens)} out / ` +
+    `${count(usage.cacheReadTokens)} cache read / ${count(usage.cacheCreationTokens)} cache write tokens · ` +
+    `${usage.turns} turns · $${usage.costUsd.toFixed(4)}`;
+}
+
+function addRunUsage(usage, outcome) {
+  runUsage.iterations++;
+  runUsage[outcome === 'success' ? 'succeeded' : outcome === 'interrupted' ? 'interrupted' : 'failed']++;
+  if (!usage) {
+    runUsage.unmetered++;
+    return;
+  }
+  for (const key of ['inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheCreationTokens', 'turns', 'costUsd']) {
+    runUsage[key] += usage[key];
+  }
+}
+
+// Reason the run is over budget, or null
+function checkBudget() {
+  const { maxCostUsd, maxTokens } = getConfig().budget;
+  if (maxCostUsd !== null && runUsage.costUsd >= maxCostUsd) {
+    return `cost $${runUsage.costUsd.toFixed(4)} reached the $${maxCostUsd} budget`;
+  }
+  if (maxTokens !== null && totalTokens(runUsage) >= maxTokens) {
+    return `${totalTokens(runUsage).toLocaleString('en-US')} tokens reached the ${maxTokens.toLocaleString('en-US')} token budget`;
+  }
+  return null;
+}
+
+function printRunSummary() {
+  if (runUsage.iterations === 0) return;
+
+  const interrupted = runUsage.interrupted > 0 ? `, ${runUsage.interrupted} interrupted` : '';
+  const summary = `📊 RUN SUMMARY: ${runUsage.iterations} iterations (${runUsage.succeeded} succeeded, ${runUsage.failed} failed${interrupted})`;
+  const usageLine = `   Usage: ${formatUsage(runUsage)}`;
+  console.log(`\n${summary}`);
+  console.log(usageLine);
+  if (runUsage.unmetered > 0) {
+    console.log(`   ⚠️ ${runUsage.unmetered} iterations ended without usage data (timed out, interrupted or the session failed) - real totals may be higher`);
+  }
+
+  const blocked = fs.existsSync(resolvePlanFile())
+    ? readPlan().tasks.filter(task => task.status === 'blocked')
+    : [];
+  if (blocked.length > 0) {
+    const { taskAttempts = {} } = readState();
+    console.log(`   🚧 ${blocked.length} blocked tasks (requeue with --retry-blocked):`);
+    for (const task of blocked) {
+      const attempt = taskAttempts[task.text];
+      console.log(`      ${task.id} ${task.text}${attempt ? ` - ${attempt.lastError}` : ''}`);
+    }
+  }
+  logToFile(`${summary.replace('📊 ', '')} | ${formatUsage(runUsage)} | unmetered: ${runUsage.unmetered}`, 'USAGE');
+}
+
+// Current HEAD commit, or null outside a git repository / before the first commit
+function getHeadCommit() {
+  try {
+    const { execSync } = require('child_process');
+    return execSync('git rev-parse HEAD', { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Commits made since `fromCommit`, oldest first
+function listCommitsSince(fromCommit) {
+  try {
+    const { execSync } = require('child_process');
+    const range = fromCommit ? `${fromCommit}..HEAD` : 'HEAD';
+    const output = execSync(`git rev-list --reverse ${range}`, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+    return output.split('\n').filter(Boolean);
+  } catch (error) {
+    return [];
+  }
+}
+
+// One JSON record per loop in artifactsDir, for auditing what the agent actually did
+function writeLoopArtifact(record) {
+  try {
+    const { artifactsDir } = getConfig().paths;
+    fs.mkdirSync(artifactsDir, { recursive: true });
+
+    const fileName = `loop_${record.startedAt.replace(/[:.]/g, '-')}.json`;
+    const artifactPath = path.join(artifactsDir, fileName);
+    fs.writeFileSync(artifactPath, JSON.stringify(record, null, 2));
+    logToFile(`Loop artifact written: ${artifactPath}`, 'INFO');
+    return artifactPath;
+  } catch (error) {
+    // Like logging, artifacts must never break the loop itself
+    logToFile(`Could not write loop artifact: ${error.message}`, 'WARNING');
+    return null;
+  }
+}
+
+// Older versions appended "<!-- Last session: id -->" to memory.md after every loop.
+// Move the newest one into the state file and clean the markers out of memory.
+function migrateSessionMarkers(memoryContent) {
+  const markers = [...memoryContent.matchAll(/<!-- Last session: (.+?) -->/g)];
+  if (markers.length === 0) return memoryContent;
+
+  if (!readState().lastSession) {
+    updateState({ lastSession: { id: markers[markers.length - 1][1], task: null, outcome: 'unknown' } });
+  }
+
+  const cleaned = memoryContent.replace(/\n*<!-- Last session: .+? -->\n?/g, '\n');
+  fs.writeFileSync(getConfig().paths.memoryFile, cleaned);
+  logToFile(`Moved ${markers.length} session markers from memory.md to the state file`, 'INFO');
+  return cleaned;
+}
+
+// memory.md entries are top-level bullets: "- [category] Topic: problem - solution (task 3.1, 2026-01-31)".
+// The category tag and the source suffix are optional - older hand-written entries still parse.
+const MEMORY_CATEGORIES = {
+  gotcha: 'Framework gotcha',
+  solution: 'Non-obvious solution',
+  breaking: 'Breaking change',
+  error: 'Error pattern',
+  config: 'Configuration quirk'
+};
+const MEMORY_ENTRY_LINE = /^[-*]\s+(.*)$/;
+const MEMORY_SOURCE = /\s*\((?:task ([\d.]+))?(?:,\s*)?(\d{4}-\d{2}-\d{2})?\)\s*$/;
+const MEMORY_STOPWORDS = new Set(['the', 'and', 'for', 'with', 'that', 'this', 'from', 'into', 'when', 'use', 'not', 'are', 'was', 'has', 'have', 'its', 'but', 'you', 'all', 'any', 'can', 'must', 'only', 'then', 'than', 'via', 'per', 'add', 'new']);
+
+function memoryKeywords(text) {
+  return new Set(text.toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length >= 3 && !MEMORY_STOPWORDS.has(word)));
+}
+
+function parseMemoryEntry(rawText) {
+  let text = rawText.trim();
+  let category = null;
+  const tag = text.match(/^\[([a-z]+)\]\s*/);
+  if (tag && MEMORY_CATEGORIES[tag[1]]) {
+    category = tag[1];
+    text = text.slice(tag[0].length);
+  }
+
+  let task = null;
+  let date = null;
+  const source = text.match(MEMORY_SOURCE);
+  if (source && (source[1] || source[2])) {
+    task = source[1] || null;
+    date = source[2] || null;
+    text = text.slice(0, source.index);
+  }
+
+  // Duplicates differ only in case, punctuation and spacing
+  const key = text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  return { category, text, task, date, key };
+}
+
+// Learnings in memory.md. Sections named in memory.pinnedSections (stack discovery) are
+// context, not entries: they always go into the prompt and compaction leaves them alone.
+function parseMemory(content) {
+  const { pinnedSections } = getConfig().memory;
+  const lines = content.split('\n');
+  const entries = [];
+  let section = null;
+  let pinned = false;
+  let inFence = false;
+  let current = null;
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.replace(/\r$/, '');
+
+    if (FENCE_LINE.test(line)) {
+      inFence = !inFence;
+      current = null;
+      return;
+    }
+    if (inFence) return;
+
+    const heading = line.match(HEADING_LINE);
+    if (heading) {
+      section = heading[2];
+      pinned = pinnedSections.some(title => section.toLowerCase().includes(title.toLowerCase()));
+      current = null;
+      return;
+    }
+    if (pinned) return;
+
+    const bullet = line.match(MEMORY_ENTRY_LINE);
+    if (bullet) {
+      current = { raw: bullet[1], section, line: index, endLine: index + 1 };
+      entries.push(current);
+    } else if (current && /^[ \t]+\S/.test(line)) {
+      // Indented continuation of the entry above
+      current.raw += ' ' + line.trim();
+      current.endLine = index + 1;
+    } else {
+      current = null;
+    }
+  });
+
+  return {
+    lines,
+    entries: entries.map(({ raw, ...entry }) => ({ ...entry, ...parseMemoryEntry(raw) }))
+  };
+}
+
+// Later entries win: a newer date, or further down the file when undated
+function compareMemoryAge(a, b) {
+  if (a.date && b.date && a.date !== b.date) return a.date < b.date ? -1 : 1;
+  if (Boolean(a.date) !== Boolean(b.date)) return a.date ? 1 : -1;
+  return a.line - b.line;
+}
+
+// Entries whose text already appears in a newer entry
+function findDuplicateEntries(entries) {
+  const newest = new Map();
+  for (const entry of entries) {
+    const kept = newest.get(entry.key);
+    if (!kept || compareMemoryAge(entry, kept) > 0) newest.set(entry.key, entry);
+  }
+  return entries.filter(entry => newest.get(entry.key) !== entry);
+}
+
+// Keyword overlap with the task and its section; learnings from the same task family
+// (same top-level task) count a little extra
+function scoreMemoryEntry(entry, task) {
+  const taskWords = memoryKeywords(`${task.title} ${task.section || ''}`);
+  let score = 0;
+  for (const word of memoryKeywords(`${entry.text} ${entry.section || ''}`)) {
+    if (taskWords.has(word)) score++;
+  }
+  if (entry.task && entry.task.split('.')[0] === task.id.split('.')[0]) score++;
+  return score;
+}
+
+// What memory.md contributes to a loop prompt: pinned sections and other prose in full, then
+// deduplicated learnings - most relevant to the task first, newest first on ties - until
+// memory.maxPromptChars is used up
+function buildMemoryContext(content, task) {
+  const { maxPromptChars } = getConfig().memory;
+  const { lines, entries } = parseMemory(content);
+
+  const entryLines = new Set();
+  for (const entry of entries) {
+    for (let index = entry.line; index < entry.endLine; index++) entryLines.add(index);
+  }
+
+  // Headings left with nothing under them once their entries are lifted out are dropped
+  const skeleton = [];
+  lines.forEach((line, index) => {
+    if (entryLines.has(index)) return;
+    if (HEADING_LINE.test(line) && skeleton.length > 0 && HEADING_LINE.test(skeleton[skeleton.length - 1])) {
+      skeleton.pop();
+    }
+    if (line.trim() || (skeleton.length > 0 && skeleton[skeleton.length - 1].trim())) {
+      skeleton.push(line);
+    }
+  });
+  while (skeleton.length > 0 && (!skeleton[skeleton.length - 1].trim() || HEADING_LINE.test(skeleton[skeleton.length - 1]))) {
+    skeleton.pop();
+  }
+
+  const duplicates = new Set(findDuplicateEntries(entries));
+  const ranked = entries
+    .filter(entry => !duplicates.has(entry))
+    .map(entry => ({ entry, score: task ? scoreMemoryEntry(entry, task) : 0 }))
+    .sort((a, b) => b.score - a.score || compareMemoryAge(b.entry, a.entry))
+    .map(({ entry }) => entry);
+
+  const shown = [];
+  let used = 0;
+  for (const entry of ranked) {
+    const text = lines.slice(entry.line, entry.endLine).join('\n');
+    if (used + text.length > maxPromptChars) continue;
+    shown.push(text);
+    used += text.length + 1;
+  }
+
+  const omitted = ranked.length - shown.length;
+  const learnings = shown.length > 0
+    ? `## Learnings (most relevant to this task first)\n${shown.join('\n')}${omitted > 0 ? `\n\n(${omitted} less relevant learnings left out - they are in ${getConfig().paths.memoryFile})` : ''}`
+    : '';
+
+  return {
+    text: [skeleton.join('\n'), learnings].filter(Boolean).join('\n\n'),
+    shown: shown.length,
+    total: ranked.length
+  };
+}
+
+// Tag learnings the agent added this loop with their source task and today's date
+function stampMemoryEntries(memoryBefore, task) {
+  const { memoryFile } = getConfig().paths;
+  if (!task || !fs.existsSync(memoryFile)) return 0;
+
+  const known = new Set(parseMemory(memoryBefore).entries.map(entry => entry.key));
+  const memory = parseMemory(fs.readFileSync(memoryFile, 'utf8'));
+  const added = memory.entries.filter(entry => !known.has(entry.key) && !entry.task && !entry.date);
+  if (added.length === 0) return 0;
+
+  const today = new Date().toISOString().split('T')[0];
+  for (const entry of added) {
+    const last = entry.endLine - 1;
+    memory.lines[last] = `${memory.lines[last].replace(/\s+$/, '')} (task ${task.id}, ${today})`;
+  }
+  fs.writeFileSync(memoryFile, memory.lines.join('\n'));
+  logToFile(`Tagged ${added.length} new memory entries with task ${task.id}`, 'INFO');
+  return added.length;
+}
+
+// Ask the agent to merge related learnings; returns the new entry lines
+async function summarizeMemoryEntries(entries) {
+  const prompt = renderPrompt('compact_memory_prompt.md', getPromptVariables({
+    categories: Object.entries(MEMORY_CATEGORIES).map(([tag, name]) => `[${tag}] ${name}`).join(', '),
+    entries: entries.map(entry => `- ${entry.source}`).join('\n')
+  })) + '\n\nIMPORTANT: Do NOT edit any files. Output ONLY the merged entries, one "- " line each. No explanations, no preamble, no code block markers.';
+
+  const output = await queryForText(prompt, { disallowedTools: ['Edit', 'MultiEdit', 'Write', 'NotebookEdit', 'Bash'] });
+  return (output || '').split('\n').map(line => line.trim()).filter(line => MEMORY_ENTRY_LINE.test(line));
+}
+
+// ralphio memory compact [--summarize] [--dry-run]
+// Drops duplicate learnings and ones older than memory.staleAfterDays; --summarize also has the
+// agent merge related entries, one section at a time. The rewrite is committed when memory.md is tracked.
+async function compactMemory({ summarize = false, dryRun = false } = {}) {
+  const { paths, memory: memoryConfig } = getConfig();
+  if (!fs.existsSync(paths.memoryFile)) {
+    console.error(`❌ No ${paths.memoryFile} found. Run "ralphio init" first.`);
+    return false;
+  }
+
+  const content = fs.readFileSync(paths.memoryFile, 'utf8');
+  const memory = parseMemory(dryRun ? content : migrateSessionMarkers(content));
+  const { entries, lines } = memory;
+
+  const duplicates = new Set(findDuplicateEntries(entries));
+  const stale = new Set();
+  if (memoryConfig.staleAfterDays) {
+    const cutoff = new Date(Date.now() - memoryConfig.staleAfterDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    for (const entry of entries) {
+      if (!duplicates.has(entry) && entry.date && entry.date < cutoff) stale.add(entry);
+    }
+  }
+  const kept = entries.filter(entry => !duplicates.has(entry) && !stale.has(entry));
+
+  console.log(`🧹 ${paths.memoryFile}: ${entries.length} learnings, ${duplicates.size} duplicates, ${stale.size} older than ${memoryConfig.staleAfterDays || '-'} days`);
+  for (const entry of [...duplicates, ...stale]) {
+    console.log(`   - ${duplicates.has(entry) ? 'duplicate' : 'stale'}: ${entry.text}`);
+  }
+
+  // --summarize merges each section on its own, so its learnings stay under their heading
+  const summaries = new Map(); // section -> merged entry lines
+  if (summarize) {
+    const sections = new Map();
+    for (const entry of kept) {
+      if (!sections.has(entry.section)) sections.set(entry.section, []);
+      sections.get(entry.section).push(entry);
+    }
+    for (const [section, sectionEntries] of sections) {
+      if (sectionEntries.length < 2) continue;
+      const name = section ? `"${section}"` : 'the top';
+      console.log(`🧠 Asking the agent to merge ${sectionEntries.length} learnings in ${name}...`);
+      const withSource = sectionEntries.map(entry => ({ ...entry, source: lines.slice(entry.line, entry.endLine).map(line => line.trim()).join(' ').replace(/^[-*]\s+/, '') }));
+      const merged = await summarizeMemoryEntries(withSource);
+      if (merged.length === 0) {
+        console.error(`❌ The agent returned no entries for ${name} - memory left unchanged`);
+        return false;
+      }
+      console.log(`   ${sectionEntries.length} -> ${merged.length} learnings`);
+      summaries.set(section, merged);
+    }
+  }
+
+  const after = kept.filter(entry => !summaries.has(entry.section)).length +
+    [...summaries.values()].reduce((count, merged) => count + merged.length, 0);
+  if (after === entries.length && summaries.size === 0) {
+    console.log('✅ Nothing to compact');
+    return true;
+  }
+  if (dryRun) {
+    console.log(`🔍 Dry run - ${paths.memoryFile} not changed (${entries.length} -> ${after} learnings)`);
+    return true;
+  }
+
+  // Drop removed entries in place; a section's summary replaces all of its entries
+  // where the first one was
+  const removed = entries.filter(entry => duplicates.has(entry) || stale.has(entry) || summaries.has(entry.section));
+  const dropLines = new Set();
+  for (const entry of removed) {
+    for (let index = entry.line; index < entry.endLine; index++) dropLines.add(index);
+  }
+  const insertAt = new Map();
+  for (const [section, merged] of summaries) {
+    insertAt.set(entries.find(entry => entry.section === section).line, merged);
+  }
+  const output = [];
+  lines.forEach((line, index) => {
+    if (insertAt.has(index)) output.push(...insertAt.get(index));
+    if (!dropLines.has(index)) output.push(line);
+  });
+
+  fs.writeFileSync(paths.memoryFile, output.join('\n'));
+  logToFile(`Compacted memory: ${entries.length} -> ${after} learnings`, 'INFO');
+  commitFiles(`chore: compact memory (${entries.length} -> ${after} learnings)`, [paths.memoryFile]);
+  console.log(`✅ ${paths.memoryFile} compacted: ${entries.length} -> ${after} learnings`);
+  return true;
+}
+
+async function runTask({ iteration = null, resumeSessionId = null, resumeTask = null, selection = {}, restore = null } = {}) {
+  const { paths, loop } = getConfig();
+  let timeoutMs = getTimeout(); // The picked task may set its own
+  let sessionId = null; // Track session for this loop
+  let branches = null; // { baseBranch, taskBranch } in git.taskBranches mode
+
+  // Continuing a loop a signal interrupted (see saveInterruptedWork): back onto its
+  // task branch, with its stashed work
+  if (restore) {
+    if (restore.branch && getConfig().git.taskBranches) {
+      preservingHarnessFiles(() => runGit(`checkout "${restore.branch.taskBranch}"`));
+      branches = restore.branch;
+      console.log(`🌿 Back on branch ${branches.taskBranch} (base: ${branches.baseBranch})`);
+    }
+    restoreInterruptedWork(restore.partialWork);
+  }
+
+  const startedAt = new Date();
+  const headBefore = getHeadCommit();
+  const cleanAtStart = isWorkingTreeClean(); // Rollback is only safe if nothing else was pending
+  const record = {
+    iteration,
+    task: null,
+    sessionId: null,
+    startedAt: startedAt.toISOString(),
+    endedAt: null,
+    durationMs: null,
+    timeoutMs,
+    events: [],
+    result: null,
+    headBefore,
+    commit: null,
+    commits: [],
+    verification: null,
+    usage: null,
+    blocked: false,
+    resumedFrom: resumeSessionId,
+    runner: getRunner().name,
+    outcome: null,
+    reason: null
+  };
+  const toolNames = new Map(); // tool_use id -> tool name, to label tool results
+  // onMessage hooks run one after another in the background; afterLoop waits for them
+  let messageHooks = Promise.resolve();
+  const addEvent = (event) => {
+    record.events.push(event);
+    emitEvent({ ...event, iteration, sessionId });
+    if (hasHookHandlers('onMessage')) {
+      messageHooks = messageHooks.then(() => runHooks('onMessage', { iteration, task: record.task, event }));
+    }
+  };
+  let snapshots = {}; // planning.md/memory.md as they were before the loop, for rollbacks
+  let nextTask = null;
+  let failure = null;
+  const abortController = new AbortController(); // Stops the agent session when the loop fails
+
+  try {
+    // Read all critical files to ensure full context
+    const promptContent = fs.readFileSync(paths.promptFile, 'utf8');
+    const memoryContent = migrateSessionMarkers(fs.readFileSync(paths.memoryFile, 'utf8'));
+    const planFile = resolvePlanFile();
+    const planningContent = fs.readFileSync(planFile, 'utf8');
+    const { lastFailure } = readState();
+    snapshots = { [planFile]: planningContent, [paths.memoryFile]: memoryContent };
+
+    // Pick the task for this loop (also used for the commit message). The agent is told
+    // which one - it doesn't choose on its own. A resumed session stays on the task it
+    // was working on, even if the plan changed in between.
+    const plan = parsePlan(planningContent);
+    nextTask = resumeTask ? findTaskByText(plan, resumeTask.text) : findNextTask(plan, selection, skippedTasks);
+    if (resumeTask && !nextTask) {
+      throw new Error(`Task "${resumeTask.text}" of session ${resumeSessionId} is no longer in ${planFile}`);
+    }
+    if (!nextTask && !resumeSessionId) {
+      throw new Error(`No ready task in ${planFile}${selection.task || selection.section ? ` for ${describeSelection(selection)}` : ''}`);
+    }
+    if (nextTask) {
+      logToFile(`Picked task ${nextTask.id}: ${nextTask.text}`, 'TASK');
+      record.task = { id: nextTask.id, text: nextTask.text, section: nextTask.section };
+      timeoutMs = getTimeout(plan, nextTask);
+      record.timeoutMs = timeoutMs;
+
+      if (getConfig().git.taskBranches && !branches) {
+        branches = startTaskBranch(nextTask);
+        record.branch = branches.taskBranch;
+      }
+    }
+
+    // Inject content for immediate context, but agent still edits the actual files.
+    // A resumed session already has all of that in its context.
+    const memory = buildMemoryContext(memoryContent, nextTask);
+    const promptVariables = getPromptVariables({
+      task: describeTaskForPrompt(nextTask),
+      iteration,
+      lastFailure: lastFailure || null
+    });
+    let systemPrompt;
+    try {
+      systemPrompt = renderPromptTemplate(promptContent, promptVariables);
+    } catch (error) {
+      throw new Error(`${paths.promptFile}: ${error.message}`);
+    }
+    const fullPrompt = resumeSessionId
+      ? renderPrompt('resume_prompt.md', promptVariables)
+      : renderPrompt('loop_prompt.md', { ...promptVariables, prompt: systemPrompt, memory, plan: planningContent });
+
+    emitEvent({ type: 'loop_start', iteration, task: record.task, resumedFrom: resumeSessionId, timeoutMs, branch: branches ? branches.taskBranch : null });
+    const vetoed = await runHooks('beforeLoop', { iteration, task: record.task, resumedFrom: resumeSessionId });
+    if (vetoed) throw new Error(vetoed.reason);
+    const message = resumeSessionId
+      ? `🔄 Resuming session ${resumeSessionId}...`
+      : '🔄 Starting task execution...';
+    console.log(message);
+    logToFile(message, 'INFO');
+
+    const watchdog = createSessionWatchdog({
+      abortController,
+      timeoutMs,
+      idleTimeoutMs: loop.idleTimeoutMs,
+      maxRepeatedToolCalls: loop.maxRepeatedToolCalls
+    });
+    interruption.loop = { task: record.task, sessionId: resumeSessionId, stop: watchdog.stop };
+    if (interruption.signal && getConfig().interrupt.currentLoop === 'abort') {
+      watchdog.stop(`Interrupted by ${interruption.signal}`);
+    }
+    const queryPromise = (async () => {
+      let result = '';
+      for await (const message of getRunner().start(fullPrompt, {
+        maxTurns: loop.maxTurns,
+        resume: resumeSessionId,
+        abortController,
+        task: record.task
+      })) {
+        // Leaving the loop closes the stream, which stops the runner
+        if (abortController.signal.aborted) break;
+        watchdog.observe(message);
+        if (!message) continue;
+
+        // Capture session ID from init message
+        if (message.type === "system" && message.subtype === "init") {
+          sessionId = message.session_id;
+          record.sessionId = sessionId;
+          if (interruption.loop) interruption.loop.sessionId = sessionId;
+          logToFile(`Session started: ${sessionId}`, 'INFO');
+          console.log(`📍 Session ID: ${sessionId}`);
+        } else if (message.type === "assistant") {
+          // Stream assistant responses in real-time, line by line
+          for (const block of messageContent(message)) {
+            if (block.type === "text") {
+              const text = block.text;
+              addEvent({ type: 'text', at: new Date().toISOString(), text });
+
+              // Split into lines and output each line separately
+              const lines = text.split('\n');
+              for (const line of lines) {
+                if (line.trim()) {
+                  logOutput(line);
+                }
+              }
+            } else if (block.type === "tool_use") {
+              toolNames.set(block.id, block.name);
+              addEvent({ type: 'tool_use', at: new Date().toISOString(), id: block.id, name: block.name, input: block.input });
+
+              // Log tool calls for visibility
+              const toolCall = `🪚 TOOL CALL: ${block.name}`;
+              const toolParams = block.input ? ` | Params: ${JSON.stringify(block.input, null, 2)}` : '';
+              logOutput(toolCall + toolParams);
+            }
+          }
+        } else if (message.type === "user") {
+          // Tool results come back to the agent as user messages
+          for (const block of messageContent(message)) {
+            if (block.type !== "tool_result") continue;
+
+            const toolName = toolNames.get(block.tool_use_id) || 'unknown';
+            addEvent({
+              type: 'tool_result',
+              at: new Date().toISOString(),
+              toolUseId: block.tool_use_id,
+              name: toolName,
+              isError: Boolean(block.is_error),
+              content: block.content
+            });
+
+            // Log tool results
+            const toolResult = `📋 TOOL RESULT: ${toolName} | ${block.is_error ? 'ERROR' : 'SUCCESS'}`;
+            logOutput(toolResult);
+            if (block.content && JSON.stringify(block.content).length < 500) {
+              logOutput(`   Result: ${JSON.stringify(block.content).substring(0, 200)}...`);
+            }
+          }
+        } else if (message.type === "result") {
+          result = message.result;
+          record.result = message;
+          const completionMessage = `\n✅ Task execution completed. Session: ${sessionId}`;
+          console.log(completionMessage);
+          logToFile(`Task completed in session: ${sessionId}`, 'INFO');
+        } else {
+          // Log any other message types for debugging
+          logToFile(`DEBUG: Unknown message type: ${message.type}`, 'DEBUG');
+        }
+      }
+      return result;
+    })();
+
+    queryPromise.catch(() => {}); // Once the watchdog aborts, the session's own error is expected
+    const result = await watchdog.wait(queryPromise);
+    interruption.loop = null; // Too late to interrupt - the loop is verified and committed as usual
+
+    // Don't take the agent's word for it - check the work before committing. The
+    // beforeCommit hooks come last and can still turn the loop into a failure.
+    let verification = verifyLoop(nextTask);
+    if (verification.passed && hasHookHandlers('beforeCommit')) {
+      const changes = describeLoopChanges(headBefore);
+      const vetoed = await runHooks('beforeCommit', { iteration, task: record.task, ...changes });
+      if (vetoed) verification = { ...verification, passed: false, reason: vetoed.reason, output: vetoed.output };
+    }
+    record.verification = verification;
+    if (!verification.passed) {
+      const { onFailure } = getConfig().verify;
+      if (branches) {
+        // Task branch mode always resets - handled with every other failure below
+      } else if (onFailure === 'rollback' && headBefore && cleanAtStart) {
+        rollbackLoop(headBefore, snapshots);
+      } else {
+        if (onFailure === 'rollback') {
+          console.warn('⚠️ Not rolling back: the working tree had uncommitted changes before this loop');
+        }
+        console.warn('⚠️ Leaving the work uncommitted for the next loop to fix');
+      }
+      throw new Error(`Verification failed: ${verification.reason}`);
+    }
+
+    stampMemoryEntries(memoryContent, nextTask);
+
+    // Simple auto-commit: just commit if there are changes
+    const committed = autoCommitChanges({ task: nextTask, sessionId, iteration });
+    if (!committed) {
+      console.warn('⚠️ Auto-commit failed, but task completed successfully');
+      logToFile('Warning: Auto-commit failed but continuing', 'WARNING');
+    }
+    const taskCommit = getHeadCommit();
+
+    if (branches) {
+      // A failed merge keeps the verified branch around instead of abandoning it
+      const verifiedBranches = branches;
+      branches = null;
+      mergeTaskBranch(verifiedBranches);
+    }
+
+    record.outcome = 'success';
+    record.reason = record.result ? `result: ${record.result.subtype}` : 'query finished without a result message';
+    await reportCompletedIssues(nextTask, taskCommit !== headBefore ? taskCommit : null);
+    return result;
+  } catch (error) {
+    failure = error;
+    abortController.abort();
+    record.reason = error.message;
+
+    // Stopped by Ctrl-C / SIGTERM: not a failure. The work is set aside (not rolled back)
+    // for --until-success to continue the session with.
+    if (error.message.startsWith('Interrupted by ')) {
+      record.outcome = 'interrupted';
+      const loopSessionId = sessionId || resumeSessionId;
+      let partialWork;
+      try {
+        partialWork = saveInterruptedWork({ task: nextTask, sessionId: loopSessionId, onTaskBranch: Boolean(branches) });
+        if (branches) {
+          preservingHarnessFiles(() => runGit(`checkout "${branches.baseBranch}"`));
+          console.log(`🌿 Branch ${branches.taskBranch} is kept for the next run`);
+        }
+      } catch (gitError) {
+        console.error(`⚠️ Could not set the interrupted loop's work aside - it is left in the working tree: ${gitError.message}`);
+        logToFile(`Saving interrupted work failed: ${gitError.message}`, 'ERROR');
+        partialWork = { kind: 'keep' };
+      }
+      interruption.stoppedLoop = { sessionId: loopSessionId, task: record.task, branch: branches, partialWork };
+      logToFile(`Loop interrupted: ${error.message}`, 'TERMINATION');
+      error.interrupted = true;
+      throw error;
+    }
+
+    record.outcome = 'failure';
+
+    // Failed or timed out on a task branch: reset it and go back to the untouched base.
+    // The session's work is gone with the branch, so it can't be resumed.
+    if (branches) {
+      error.rolledBack = true;
+      try {
+        if (headBefore && cleanAtStart) {
+          rollbackLoop(headBefore, snapshots);
+        }
+        abandonTaskBranch(branches);
+      } catch (gitError) {
+        console.error(`⚠️ Could not clean up branch ${branches.taskBranch}: ${gitError.message}`);
+        logToFile(`Task branch cleanup failed: ${gitError.message}`, 'ERROR');
+      }
+    }
+
+    let errorMessage;
+    if (error.message.includes('timed out')) {
+      errorMessage = `❌ RALPHIO timed out after ${timeoutMs}ms. Try raising loop.timeoutMs in agent.config.json, the LOOP_TIMEOUT_MS environment variable, or give the task a "(timeout: 30m)".`;
+    } else if (error.message.startsWith('Stalled:')) {
+      errorMessage = `❌ RALPHIO aborted a stuck loop - ${error.message.replace(/^Stalled: /, '')}. The watchdog limits are loop.idleTimeoutMs and loop.maxRepeatedToolCalls.`;
+    } else {
+      errorMessage = `❌ RALPHIO failed: ${error.message}`;
+    }
+    console.error(errorMessage);
+    logToFile(errorMessage, 'ERROR');
+    throw error;
+  } finally {
+    const endedAt = new Date();
+    record.endedAt = endedAt.toISOString();
+    record.durationMs = endedAt - startedAt;
+    record.commits = listCommitsSince(headBefore);
+    record.commit = record.commits.length > 0 ? record.commits[record.commits.length - 1] : null;
+    record.usage = extractUsage(record.result);
+    addRunUsage(record.usage, record.outcome);
+    interruption.loop = null;
+
+    // After too many failed attempts the task is blocked, so the run can move on.
+    // An interrupted loop is no attempt at all.
+    if (record.task && record.outcome !== 'interrupted') {
+      try {
+        record.blocked = recordTaskAttempt(record.task, record.outcome, record.reason);
+      } catch (error) {
+        logToFile(`Could not record task attempt: ${error.message}`, 'ERROR');
+      }
+      if (record.blocked && failure) failure.taskBlocked = true;
+    }
+    writeLoopArtifact(record);
+    emitEvent({
+      type: 'iteration_result',
+      iteration,
+      task: record.task,
+      sessionId: record.sessionId,
+      outcome: record.outcome,
+      reason: record.reason,
+      durationMs: record.durationMs,
+      verification: record.verification ? { passed: record.verification.passed, reason: record.verification.reason } : null,
+      commits: record.commits,
+      blocked: record.blocked,
+      usage: record.usage
+    });
+    await messageHooks;
+    await runHooks('afterLoop', {
+      iteration,
+      task: record.task,
+      sessionId: record.sessionId,
+      outcome: record.outcome,
+      reason: record.reason,
+      durationMs: record.durationMs,
+      commits: record.commits,
+      blocked: record.blocked,
+      usage: record.usage
+    });
+
+    if (record.usage) {
+      console.log(`💰 Usage: ${formatUsage(record.usage)}`);
+      logToFile(`Iteration usage: ${formatUsage(record.usage)}`, 'USAGE');
+    }
+
+    // Feed the failure into the next loop's prompt; a success clears it
+    if (record.outcome !== 'interrupted') {
+      updateState({
+        lastFailure: record.outcome === 'failure'
+          ? {
+            task: record.task,
+            reason: record.reason,
+            output: record.verification ? record.verification.output : '',
+            at: record.endedAt
+          }
+          : null
+      });
+    }
+
+    // Remember the session so an interrupted loop can be resumed
+    const lastSessionId = sessionId || resumeSessionId;
+    if (lastSessionId) {
+      const timedOut = record.outcome === 'failure' && /timed out/.test(record.reason);
+      updateState({
+        lastSession: {
+          id: lastSessionId,
+          task: record.task,
+          startedAt: record.startedAt,
+          endedAt: record.endedAt,
+          outcome: timedOut ? 'timed-out' : record.outcome,
+          usage: record.usage
+        }
+      });
+    }
+  }
+}
+
+// Ctrl-C / SIGTERM. The first signal stops the run cleanly: the running loop is aborted
+// (interrupt.currentLoop "abort") or left to finish ("finish"), and a checkpoint goes into
+// the state file for --until-success to continue from. A second signal quits on the spot.
+const interruption = {
+  signal: null,
+  loop: null, // The running agent session: { task, sessionId, stop(reason) } - set by runTask
+  stoppedLoop: null, // The loop the signal aborted: { sessionId, task, branch, partialWork }
+  progress: null // Where the run is: { mode, iteration, consecutiveFailures, selection }
+};
+
+function signalExitCode(signal) {
+  return 128 + require('os').constants.signals[signal];
+}
+
+function handleInterrupts() {
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+      if (interruption.signal) {
+        console.error(`\n🛑 ${signal} again - quitting now`);
+        logToFile(`Second ${signal} - quitting without cleanup`, 'TERMINATION');
+        if (interruption.loop) {
+          // Don't leave the agent editing files; its work stays in the tree as it is
+          if (interruption.loop.task) {
+            interruption.stoppedLoop = { sessionId: interruption.loop.sessionId, task: interruption.loop.task, branch: null, partialWork: { kind: 'keep' } };
+          }
+          interruption.loop.stop(`Interrupted by ${signal}`);
+        }
+        writeCheckpoint({ forced: true });
+        exitRun(signalExitCode(signal), `${signal} (forced)`, { hooks: false });
+      }
+
+      interruption.signal = signal;
+      const abort = getConfig().interrupt.currentLoop === 'abort';
+      const message = interruption.loop
+        ? `🛑 ${signal} - ${abort ? 'aborting' : 'finishing'} the current loop, then stopping. Send it again to quit now.`
+        : `🛑 ${signal} - stopping. Send it again to quit now.`;
+      console.error(`\n${message}`);
+      logToFile(message, 'TERMINATION');
+      if (abort && interruption.loop) interruption.loop.stop(`Interrupted by ${signal}`);
+    });
+  }
+}
+
+// Record where the interrupted run was, so "--until-success" can pick it up again
+function writeCheckpoint({ forced = false } = {}) {
+  const progress = interruption.progress || { mode: 'once', iteration: 1, consecutiveFailures: 0, selection: {} };
+  const checkpoint = {
+    at: new Date().toISOString(),
+    stoppedBy: interruption.signal || 'dashboard', // SIGINT, SIGTERM or a stop from the dashboard
+    forced,
+    ...progress,
+    loop: interruption.stoppedLoop,
+    usage: { ...runUsage }
+  };
+  try {
+    updateState({ checkpoint });
+    logToFile(`Checkpoint written: iteration ${checkpoint.iteration}, ${checkpoint.consecutiveFailures} consecutive failures${checkpoint.loop ? `, session ${checkpoint.loop.sessionId}` : ''}`, 'INFO');
+  } catch (error) {
+    logToFile(`Could not write checkpoint: ${error.message}`, 'ERROR');
+  }
+  return checkpoint;
+}
+
+// End an interrupted run: checkpoint, summary, and the conventional 128 + signal exit code
+// (EXIT_CODES.stopped for a stop from the dashboard)
+function exitInterrupted({ exitCode = signalExitCode(interruption.signal) } = {}) {
+  const checkpoint = writeCheckpoint();
+  console.log(`\n⏸️  RUN ${interruption.signal ? 'INTERRUPTED' : 'STOPPED'} at iteration ${checkpoint.iteration} - "ralphio --until-success" continues from here`);
+  logToFile(`RUN INTERRUPTED by ${checkpoint.stoppedBy} at iteration ${checkpoint.iteration}`, 'TERMINATION');
+  printRunSummary();
+  return exitRun(exitCode, checkpoint.stoppedBy);
+}
+
+// An aborted loop's uncommitted work, per interrupt.partialWork. On a task branch it is never
+// just left in the tree: the run switches back to the base branch, so "keep" stashes too.
+function saveInterruptedWork({ task, sessionId, onTaskBranch }) {
+  if (isWorkingTreeClean()) return { kind: 'none' };
+
+  const { partialWork } = getConfig().interrupt;
+  if (partialWork === 'keep' && !onTaskBranch) {
+    console.log('⏸️  Partial work left in the working tree');
+    return { kind: 'keep' };
+  }
+
+  const { execSync, execFileSync } = require('child_process');
+  if (partialWork === 'commit') {
+    const message = buildCommitMessage({ task, sessionId, type: 'wip' });
+    execSync(`git add -A ${getWorkPathspec()}`, { encoding: 'utf8', stdio: 'pipe' });
+    execFileSync('git', ['commit', '-F', '-'], { input: message, encoding: 'utf8', stdio: 'pipe' });
+    const commit = getHeadCommit();
+    emitEvent({ type: 'commit', iteration: interruption.progress ? interruption.progress.iteration : null, sha: commit, subject: message.split('\n')[0], taskId: task ? task.id : null });
+    console.log(`⏸️  Partial work committed as ${commit.slice(0, 7)}: ${message.split('\n')[0]}`);
+    logToFile(`Interrupted loop's work committed: ${commit}`, 'INFO');
+    return { kind: 'commit', commit };
+  }
+
+  const label = `ralphio: interrupted task ${task ? task.id : '?'}${sessionId ? ` (session ${sessionId})` : ''}`;
+  execSync(`git stash push --include-untracked -m "${label.replace(/"/g, '')}" ${getWorkPathspec()}`, { encoding: 'utf8', stdio: 'pipe' });
+  const stash = runGit('rev-parse stash@{0}');
+  console.log(`⏸️  Partial work stashed (${stash.slice(0, 7)}): ${label}`);
+  logToFile(`Interrupted loop's work stashed: ${stash}`, 'INFO');
+  return { kind: 'stash', stash };
+}
+
+// Put a stashed interrupted loop's work back; false (with a warning) if that isn't possible
+function restoreInterruptedWork(partialWork) {
+  if (!partialWork || partialWork.kind !== 'stash') return false;
+
+  const index = runGit('stash list --format=%H').split('\n').indexOf(partialWork.stash);
+  if (index === -1) {
+    console.warn(`⚠️ The interrupted loop's stash ${partialWork.stash.slice(0, 7)} is gone - continuing without it`);
+    return false;
+  }
+  try {
+    runGit(`stash pop "stash@{${index}}"`);
+  } catch (error) {
+    console.warn(`⚠️ Could not restore the interrupted loop's work - it stays in stash@{${index}}: ${(error.stderr || error.message).trim()}`);
+    logToFile(`Stash pop failed: ${error.message}`, 'WARNING');
+    return false;
+  }
+  console.log(`↩️  Restored the interrupted loop's work from stash ${partialWork.stash.slice(0, 7)}`);
+  logToFile(`Restored stash ${partialWork.stash}`, 'INFO');
+  return true;
+}
+
+// Dashboard controls. "ralphio serve" writes requests to paths.controlFile -
+// { paused, stop, skip: [task text] } - and --until-success picks them up between iterations.
+const CONTROL_POLL_MS = 1000;
+const skippedTasks = new Set(); // Texts of tasks skipped from the dashboard - not picked again this run
+let controlPaused = false;
+let controlStopped = false;
+
+function readControl() {
+  const control = { paused: false, stop: false, skip: [] };
+  try {
+    return { ...control, ...JSON.parse(fs.readFileSync(getConfig().paths.controlFile, 'utf8')) };
+  } catch (error) {
+    return control; // No requests
+  }
+}
+
+function writeControl(control) {
+  const { controlFile } = getConfig().paths;
+  fs.mkdirSync(path.dirname(controlFile), { recursive: true });
+  fs.writeFileSync(controlFile, JSON.stringify({ ...control, updatedAt: new Date().toISOString() }, null, 2));
+}
+
+// Take in the dashboard's requests: skips and unskips, and pause/resume/stop as they change
+function checkControl() {
+  const control = readControl();
+  const report = (message, event) => {
+    console.log(message);
+    logToFile(message, 'CONTROL');
+    emitEvent({ type: 'control', ...event });
+  };
+
+  for (const text of control.skip) {
+    if (skippedTasks.has(text)) continue;
+    skippedTasks.add(text);
+    report(`⏭️  Skipping task (dashboard): ${text}`, { action: 'skip', task: text });
+  }
+  for (const text of skippedTasks) {
+    if (control.skip.includes(text)) continue;
+    skippedTasks.delete(text);
+    report(`↩️  No longer skipping task (dashboard): ${text}`, { action: 'unskip', task: text });
+  }
+  if (control.stop) {
+    if (!controlStopped) report('⏹️  Stop requested from the dashboard', { action: 'stop' });
+    controlStopped = true;
+    return control;
+  }
+  if (control.paused !== controlPaused) {
+    controlPaused = control.paused;
+    report(controlPaused ? '⏸️  Paused from the dashboard - no new loop starts until it is resumed' : '▶️  Resumed from the dashboard', { action: controlPaused ? 'pause' : 'resume' });
+  }
+  return control;
+}
+
+// Between iterations: sit out a pause (a stop request or a signal ends it too)
+async function waitWhilePaused() {
+  let control = checkControl();
+  while (control.paused && !control.stop && !interruption.signal) {
+    await new Promise(resolve => setTimeout(resolve, CONTROL_POLL_MS));
+    control = checkControl();
+  }
+  return control;
+}
+
+// { exitCode, reason } for a run that has nothing left it can do - everything done,
+// only blocked tasks left, or open tasks all waiting on dependencies - after saying why.
+// null while a task is still ready to run.
+function endOfRun(selection, { ignoreStall = false } = {}) {
+  const scope = selection.task || selection.section ? ` for ${describeSelection(selection)}` : '';
+  const blocked = fs.existsSync(resolvePlanFile()) ? countTasks(selectTasks(readPlan(), selection)).blocked : 0;
+
+  if (!hasUnfinishedTasks(selection)) {
+    if (blocked > 0) {
+      const blockedMessage = `\n🚧 FINISHED WITH BLOCKED TASKS: every other task${scope} is done, ${blocked} blocked`;
+      console.log(blockedMessage);
+      logToFile(blockedMessage.trim(), 'TERMINATION');
+      return { exitCode: EXIT_CODES.blocked, reason: `${blocked} blocked tasks left` };
+    }
+    const completionMessage = `\n🎉 ALL TASKS COMPLETED! No unchecked tasks found in ${resolvePlanFile()}${scope}`;
+    console.log(completionMessage);
+    logToFile('ALL TASKS COMPLETED - TERMINATING SUCCESSFULLY', 'COMPLETE');
+    return { exitCode: EXIT_CODES.complete, reason: null };
+  }
+
+  // Open tasks left, but every one of them waits on something that isn't done - or was skipped
+  const plan = readPlan();
+  if (ignoreStall || findNextTask(plan, selection, skippedTasks)) return null;
+
+  const skipped = selectTasks(plan, selection).filter(task => skippedTasks.has(task.text) && isTaskReady(plan, task));
+  if (skipped.length > 0) {
+    const skippedMessage = `\n⏭️ FINISHED WITH SKIPPED TASKS: the ${skipped.length} ready tasks left${scope} were skipped from the dashboard`;
+    console.log(skippedMessage);
+    logToFile(skippedMessage.trim(), 'TERMINATION');
+    return { exitCode: EXIT_CODES.blocked, reason: `${skipped.length} skipped tasks left` };
+  }
+
+  const stallMessage = `No task is ready - the remaining tasks wait on ${blocked > 0 ? 'blocked tasks or ' : ''}unmet dependencies`;
+  console.log(`\n⛔ TERMINATION: ${stallMessage}:`);
+  for (const { task, unmet } of findWaitingTasks(plan, selection)) {
+    console.log(`   ${task.id} ${task.text}  (needs ${unmet.join(', ')})`);
+  }
+  logToFile(`TERMINATION: ${stallMessage}`, 'TERMINATION');
+  return { exitCode: blocked > 0 ? EXIT_CODES.blocked : EXIT_CODES.failed, reason: stallMessage };
+}
+
+// `checkpoint` (from an interrupted run) carries on with its iteration count, failure
+// streak and usage totals, and continues the loop that was stopped
+async function runUntilSuccess(selection = {}, checkpoint = null) {
+  let iteration = checkpoint ? checkpoint.iteration : 1;
+  let consecutiveFailures = checkpoint ? checkpoint.consecutiveFailures : 0;
+  let restore = checkpoint ? checkpoint.loop : null;
+  let resumeSessionId = restore ? restore.sessionId : null; // Also set after a timeout so the next iteration picks up where it stopped
+  let resumeTask = restore ? restore.task : null; // The task that session was working on
+  const { maxIterations, maxConsecutiveFailures, resumeOnTimeout } = getConfig().loop;
+  const countBlocked = () => (fs.existsSync(resolvePlanFile()) ? countTasks(selectTasks(readPlan(), selection)).blocked : 0);
+  if (checkpoint) Object.assign(runUsage, checkpoint.usage);
+
+  // Initial check - if no tasks, don't start
+  if (!hasUnfinishedTasks(selection)) {
+    const blocked = countBlocked();
+    const noTasksMessage = blocked > 0
+      ? `🚧 Nothing to do - the ${blocked} tasks left are blocked. Requeue them with --retry-blocked.`
+      : '🎉 ALL TASKS ALREADY COMPLETED! Nothing to do.';
+    console.log(noTasksMessage);
+    logToFile('ALL TASKS ALREADY COMPLETED - NO WORK NEEDED', 'COMPLETE');
+    return exitRun(blocked > 0 ? EXIT_CODES.blocked : EXIT_CODES.complete, blocked > 0 ? `${blocked} blocked tasks left` : null);
+  }
+
+  while (iteration <= maxIterations) {
+    interruption.progress = { mode: 'until-success', iteration, consecutiveFailures, selection };
+    const control = await waitWhilePaused();
+    if (interruption.signal) return exitInterrupted();
+    if (control.stop) return exitInterrupted({ exitCode: EXIT_CODES.stopped });
+
+    // Stop once nothing is left to do; after a timeout the resumed session gets its turn first
+    const end = endOfRun(selection, { ignoreStall: Boolean(resumeSessionId) });
+    if (end !== null) {
+      printRunSummary();
+      return exitRun(end.exitCode, end.reason);
+    }
+
+    // Stop cleanly before starting a loop the budget can't pay for
+    const budgetReason = checkBudget();
+    if (budgetReason) {
+      const budgetMessage = `\n💸 TERMINATION: Budget reached - ${budgetReason}`;
+      console.log(budgetMessage);
+      logToFile(budgetMessage.trim(), 'TERMINATION');
+      printRunSummary();
+      return exitRun(EXIT_CODES.budget, budgetReason);
+    }
+
+    const separator = `${'='.repeat(60)}`;
+    const iterationMessage = `🔄 ITERATION ${iteration}/${maxIterations} - Starting task execution...`;
+
+    console.log(`\n${separator}`);
+    console.log(iterationMessage);
+    console.log(`${separator}\n`);
+
+    logToFile(`ITERATION ${iteration}/${maxIterations} - Starting task execution...`, 'INFO');
+
+    try {
+      await runTask({ iteration, resumeSessionId, resumeTask, selection, restore });
+      resumeSessionId = null;
+      resumeTask = null;
+      restore = null;
+      const successMessage = `\n✅ ITERATION ${iteration} COMPLETED SUCCESSFULLY`;
+      const resetMessage = `   Consecutive failures: 0 (reset)`;
+      console.log(successMessage);
+      console.log(resetMessage);
+
+      logToFile(`ITERATION ${iteration} COMPLETED SUCCESSFULLY`, 'SUCCESS');
+      logToFile('Consecutive failures: 0 (reset)', 'INFO');
+      consecutiveFailures = 0; // Reset on success
+      iteration++;
+
+      // Small delay between iterations for readability
+      if (iteration <= maxIterations) {
+        console.log('\n⏳ Preparing next iteration...\n');
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    } catch (error) {
+      // The interrupted iteration is the one a checkpoint continues - it doesn't count
+      if (error.interrupted) return exitInterrupted();
+      restore = null;
+
+      consecutiveFailures++;
+      const failMessage = `\n❌ ITERATION ${iteration} FAILED`;
+      const failureCount = `   Consecutive failures: ${consecutiveFailures}/${maxConsecutiveFailures}`;
+      const errorDetail = `   Error: ${error.message}`;
+
+      console.log(failMessage);
+      console.log(failureCount);
+      console.log(errorDetail);
+
+      logToFile(`ITERATION ${iteration} FAILED`, 'FAILURE');
+      logToFile(`Consecutive failures: ${consecutiveFailures}/${maxConsecutiveFailures}`, 'INFO');
+      logToFile(`Error: ${error.message}`, 'ERROR');
+
+      const { lastSession } = readState();
+      resumeSessionId = !error.taskBlocked && !error.rolledBack && resumeOnTimeout && error.message.includes('timed out') && lastSession && lastSession.outcome === 'timed-out'
+        ? lastSession.id
+        : null;
+      resumeTask = resumeSessionId ? lastSession.task : null;
+      if (resumeSessionId) {
+        console.log(`   Next iteration resumes session ${resumeSessionId}`);
+        logToFile(`Will resume timed-out session ${resumeSessionId}`, 'INFO');
+      }
+
+      // The streak was one task that is now blocked - the rest of the plan is still doable
+      if (error.taskBlocked) {
+        consecutiveFailures = 0;
+        console.log('   Task blocked - consecutive failures reset, moving on to the next ready task');
+        logToFile('Task blocked - consecutive failures reset', 'INFO');
+      }
+
+      if (consecutiveFailures >= maxConsecutiveFailures) {
+        const terminationMessage = `\n💥 TERMINATION: ${maxConsecutiveFailures} consecutive failures reached. System appears unstable.`;
+        console.log(terminationMessage);
+        logToFile(terminationMessage.trim(), 'TERMINATION');
+        printRunSummary();
+        return exitRun(EXIT_CODES.failed, `${maxConsecutiveFailures} consecutive failures`);
+      }
+      iteration++;
+
+      // Small delay before retry
+      if (iteration <= maxIterations) {
+        console.log('\n⏳ Retrying next iteration...\n');
+        await new Promise(resolve => setTimeout(resolve, 2000));
+      }
+    }
+  }
+
+  const maxIterationsMessage = `🛑 TERMINATION: Reached maximum ${maxIterations} iterations`;
+  console.log(maxIterationsMessage);
+  logToFile(maxIterationsMessage, 'TERMINATION');
+  printRunSummary();
+  return exitRun(EXIT_CODES.maxIterations, `reached ${maxIterations} iterations`);
+}
+
+// --parallel N: up to N loops at once, each a "ralphio --once --task <id>" worker in its
+// own git worktree on its own task branch. The coordinator (this process) owns planning.md
+// and memory.md: workers edit copies, and when a branch is merged the coordinator takes
+// over the task's block from the worker's plan and any lines the worker added to memory.
+
+// Map a project path to the same path inside a worktree
+function pathInWorktree(worktreeDir, file) {
+  return path.resolve(worktreeDir, path.relative(process.cwd(), path.resolve(file)));
+}
+
+function startWorker(task, worktreeRoot, iteration) {
+  const { spawn } = require('child_process');
+  const { paths } = getConfig();
+  const branch = getTaskBranchName(task);
+  const dir = path.join(worktreeRoot, branch.replace(/[^\w.-]+/g, '-'));
+
+  runGit(`worktree add -B "${branch}" "${dir}" HEAD`);
+
+  // Workers start from the coordinator's current plan, memory and prompt, committed or not
+  for (const file of [paths.planFile, paths.memoryFile, paths.promptFile]) {
+    const target = pathInWorktree(dir, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(file, target);
+  }
+  fs.rmSync(pathInWorktree(dir, paths.stateFile), { force: true });
+
+  // Same settings, except: no branch switching inside the worktree, logs/artifacts land in
+  // the project rather than in a worktree that is about to be removed, and prompt overrides
+  // and plugins come from the project, committed or not
+  const configFile = `${dir}.config.json`;
+  const workerConfig = mergeConfig(getConfig(), {
+    paths: {
+      logsDir: path.resolve(paths.logsDir, 'worktrees', path.basename(dir)),
+      artifactsDir: path.resolve(paths.artifactsDir),
+      promptsDir: path.resolve(paths.promptsDir),
+      pluginsDir: path.resolve(paths.pluginsDir)
+    },
+    git: { taskBranches: false },
+    issues: { onComplete: 'off' }, // Reported by the coordinator once the branch is merged
+    interrupt: { partialWork: 'keep' } // Worktrees share the stash - an interrupted worker's work is dropped with its worktree
+  });
+  fs.writeFileSync(configFile, JSON.stringify(workerConfig, null, 2));
+
+  // Detached, so Ctrl-C reaches workers only through the coordinator (see runParallel)
+  const child = spawn(process.execPath, [__filename, '--once', '--task', task.id, '--output', 'json'], {
+    cwd: dir,
+    env: { ...process.env, RALPHIO_CONFIG: configFile, RALPHIO_PARALLEL_WORKER: '1' },
+    stdio: ['ignore', 'pipe', 'pipe'],
+    detached: true
+  });
+
+  const worker = {
+    task: { id: task.id, text: task.text, title: task.title, section: task.section },
+    iteration,
+    result: null, // The worker's iteration_result event
+    branch,
+    dir,
+    configFile,
+    memoryBefore: fs.readFileSync(paths.memoryFile, 'utf8'),
+    child,
+    exitCode: null
+  };
+  // Workers report in events (stdout), passed on under the coordinator's iteration number:
+  // their run_start/run_end are their own business, and their iteration_result is reported
+  // once the coordinator has merged it. Their human-readable output (stderr) is printed
+  // with the task id in front.
+  const forwardEvent = (line) => {
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (error) {
+      return false;
+    }
+    if (event.type === 'iteration_result') worker.result = event;
+    if (!['run_start', 'run_end', 'iteration_result'].includes(event.type)) emitEvent({ ...event, iteration });
+    return true;
+  };
+  for (const stream of [child.stdout, child.stderr]) {
+    let buffered = '';
+    const printLine = (line) => {
+      if (stream === child.stdout && forwardEvent(line)) return;
+      console.log(`[${task.id}] ${line}`);
+    };
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+      const lines = (buffered + chunk).split('\n');
+      buffered = lines.pop();
+      for (const line of lines) printLine(line);
+    });
+    stream.on('end', () => {
+      if (buffered) printLine(buffered);
+    });
+  }
+
+  worker.done = new Promise((resolve) => {
+    child.on('error', (error) => {
+      worker.error = error.message;
+      resolve(worker);
+    });
+    child.on('close', (code) => {
+      worker.exitCode = code;
+      resolve(worker);
+    });
+  });
+
+  const message = `🚀 Task ${task.id} started on ${branch}: ${task.text}`;
+  console.log(message);
+  logToFile(message, 'PARALLEL');
+  return worker;
+}
+
+function removeWorktree(worker) {
+  try {
+    runGit(`worktree remove --force "${worker.dir}"`);
+  } catch (error) {
+    logToFile(`Could not remove worktree ${worker.dir}: ${error.message}`, 'WARNING');
+  }
+  fs.rmSync(worker.configFile, { force: true });
+}
+
+// Replace the task's block in planning.md with the worker's version (checked, broken down, notes)
+function applyWorkerPlan(task, workerPlanContent) {
+  if (!workerPlanContent) return;
+  const workerPlan = parsePlan(workerPlanContent);
+  const source = findTaskByText(workerPlan, task.text);
+  const plan = readPlan();
+  const target = findTaskByText(plan, task.text);
+  if (!source || !target) return;
+
+  plan.lines.splice(target.line, target.endLine - target.line, ...workerPlan.lines.slice(source.line, source.endLine));
+  writePlan(plan);
+}
+
+// Append the lines the worker added to memory.md
+function applyWorkerMemory(memoryBefore, workerMemoryContent) {
+  if (!workerMemoryContent) return;
+  const { memoryFile } = getConfig().paths;
+  const current = fs.readFileSync(memoryFile, 'utf8');
+  const known = new Set([...memoryBefore.split('\n'), ...current.split('\n')].map(line => line.trim()));
+  const added = workerMemoryContent.split('\n').filter(line => line.trim() && !known.has(line.trim()));
+  if (added.length === 0) return;
+
+  fs.writeFileSync(memoryFile, `${current.replace(/\s*$/, '')}\n${added.join('\n')}\n`);
+}
+
+// Merge a finished worker's branch. planning.md/memory.md always resolve to the
+// coordinator's side; conflicts anywhere else abort the merge and keep the branch.
+function mergeWorkerBranch(worker, workerPlanContent, workerMemoryContent) {
+  const { paths } = getConfig();
+  const coordinated = [paths.planFile, paths.memoryFile].filter(isTrackedFile);
+
+  let mergeError = null;
+  try {
+    runGit(`merge --no-ff --no-commit "${worker.branch}"`);
+  } catch (error) {
+    mergeError = error;
+  }
+
+  let merging = true;
+  try {
+    runGit('rev-parse -q --verify MERGE_HEAD');
+  } catch (error) {
+    merging = false;
+  }
+  if (mergeError && !merging) {
+    const error = new Error(`Could not merge ${worker.branch} - the branch is kept for a manual merge: ${(mergeError.stderr || mergeError.message).trim()}`);
+    error.keepBranch = true;
+    throw error;
+  }
 
-    const result = await withTimeout(queryPromise, timeoutMs);
+  if (merging && coordinated.length > 0) {
+    runGit(`checkout HEAD -- ${coordinated.map(file => `"${file}"`).join(' ')}`);
+  }
+  const conflicts = merging ? runGit('diff --name-only --diff-filter=U').split('\n').filter(Boolean) : [];
+  if (conflicts.length > 0) {
+    runGit('merge --abort');
+    const error = new Error(`Merge conflict in ${conflicts.join(', ')} - branch ${worker.branch} is kept until the task is retried`);
+    error.keepBranch = true;
+    throw error;
+  }
 
-    // Simple auto-commit: just commit if there are changes
-    const committed = autoCommitChanges(currentTask, sessionId);
-    if (!committed) {
-      console.warn('⚠️ Auto-commit failed, but task completed successfully');
-      logToFile('Warning: Auto-commit failed but continuing', 'WARNING');
+  applyWorkerPlan(worker.task, workerPlanContent);
+  applyWorkerMemory(worker.memoryBefore, workerMemoryContent);
+
+  const subject = `Merge ${worker.branch}`;
+  if (merging) {
+    const { execFileSync } = require('child_process');
+    if (coordinated.length > 0) {
+      runGit(`add -- ${coordinated.map(file => `"${file}"`).join(' ')}`);
     }
+    execFileSync('git', ['commit', '-F', '-'], { input: `${subject}\n\nTask: ${worker.task.text}\n`, encoding: 'utf8', stdio: 'pipe' });
+    emitEvent({ type: 'commit', iteration: worker.iteration, sha: getHeadCommit(), subject, taskId: worker.task.id });
+  } else {
+    commitFiles(`chore: complete task ${worker.task.id}`, coordinated);
+  }
+  runGit(`branch -D "${worker.branch}"`);
 
-    return result;
+  console.log(`🔀 Merged ${worker.branch}`);
+  logToFile(`Merged ${worker.branch} for task ${worker.task.id}`, 'SUCCESS');
+}
+
+// A worker finished: collect what it left in its worktree, merge or discard its branch,
+// and count the attempt. Returns { success, blocked, reason }.
+function integrateWorker(worker) {
+  const { paths } = getConfig();
+  const readWorktreeFile = (file) => {
+    const target = pathInWorktree(worker.dir, file);
+    return fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+  };
+
+  const workerPlanContent = readWorktreeFile(paths.planFile);
+  const workerMemoryContent = readWorktreeFile(paths.memoryFile);
+  let workerState = {};
+  try {
+    workerState = JSON.parse(readWorktreeFile(paths.stateFile) || '{}');
   } catch (error) {
-    let errorMessage;
-    if (error.message.includes('timed out')) {
-      errorMessage = `❌ RALPHIO timed out after ${getTimeout()}ms. Try setting LOOP_TIMEOUT_MS environment variable.`;
-    } else {
-      errorMessage = `❌ RALPHIO failed: ${error.message}`;
+    // No state - the worker died before its loop ended
+  }
+  removeWorktree(worker);
+
+  // The worker's own iteration_result (verification, commits, usage), with the outcome after merging
+  const reportResult = (outcome, reason, blocked) => emitEvent({
+    ...(worker.result || { task: worker.task, sessionId: workerState.lastSession ? workerState.lastSession.id : null }),
+    type: 'iteration_result',
+    at: new Date().toISOString(),
+    iteration: worker.iteration,
+    outcome,
+    reason,
+    blocked
+  });
+
+  // Stopped by a signal the coordinator forwarded: the task goes back in the queue
+  if ([signalExitCode('SIGINT'), signalExitCode('SIGTERM')].includes(worker.exitCode)) {
+    try {
+      runGit(`branch -D "${worker.branch}"`);
+    } catch (error) {
+      // Already gone
     }
-    console.error(errorMessage);
-    logToFile(errorMessage, 'ERROR');
-    throw error;
+    const message = `⏸️  Task ${worker.task.id} interrupted: ${worker.task.text}`;
+    console.log(message);
+    logToFile(message, 'TERMINATION');
+    addRunUsage(workerState.lastSession ? workerState.lastSession.usage : null, 'interrupted');
+    reportResult('interrupted', 'interrupted', false);
+    return { success: false, blocked: false, interrupted: true, reason: 'interrupted' };
   }
-}
 
-async function runUntilSuccess() {
-  let iteration = 1;
-  let consecutiveFailures = 0;
-  const maxIterations = 50;
-  const maxConsecutiveFailures = 3;
+  let reason = null;
+  if (worker.exitCode !== 0) {
+    reason = workerState.lastFailure
+      ? workerState.lastFailure.reason
+      : worker.error || `worker exited with code ${worker.exitCode}`;
+  }
 
-  // Initial check - if no tasks, don't start
-  if (!hasUnfinishedTasks()) {
-    const noTasksMessage = '🎉 ALL TASKS ALREADY COMPLETED! Nothing to do.';
-    console.log(noTasksMessage);
-    logToFile('ALL TASKS ALREADY COMPLETED - NO WORK NEEDED', 'COMPLETE');
-    process.exit(0);
+  let keepBranch = false;
+  if (!reason) {
+    try {
+      mergeWorkerBranch(worker, workerPlanContent, workerMemoryContent);
+    } catch (error) {
+      reason = error.message;
+      keepBranch = Boolean(error.keepBranch);
+    }
+  }
+  if (reason && !keepBranch) {
+    try {
+      runGit(`branch -D "${worker.branch}"`);
+    } catch (error) {
+      // Already gone
+    }
   }
 
-  while (iteration <= maxIterations) {
-    // Check if there are any tasks left to do
-    if (!hasUnfinishedTasks()) {
-      const completionMessage = `\n🎉 ALL TASKS COMPLETED! No unchecked tasks found in planning.md`;
-      console.log(completionMessage);
-      logToFile('ALL TASKS COMPLETED - TERMINATING SUCCESSFULLY', 'COMPLETE');
-      process.exit(0);
+  const message = reason
+    ? `❌ Task ${worker.task.id} failed: ${reason}`
+    : `✅ Task ${worker.task.id} completed: ${worker.task.text}`;
+  console.log(message);
+  logToFile(message, reason ? 'FAILURE' : 'SUCCESS');
+
+  const outcome = reason ? 'failure' : 'success';
+  addRunUsage(workerState.lastSession ? workerState.lastSession.usage : null, outcome);
+  const blocked = recordTaskAttempt(worker.task, outcome, reason);
+  reportResult(outcome, reason, blocked);
+  return { success: !reason, blocked, reason };
+}
+
+async function runParallel(selection, parallel, checkpoint = null) {
+  const os = require('os');
+  const { maxIterations, maxConsecutiveFailures } = getConfig().loop;
+  const worktreeRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'ralphio-worktrees-'));
+  const active = new Map(); // task text -> worker
+  let started = checkpoint ? checkpoint.iteration - 1 : 0;
+  let consecutiveFailures = checkpoint ? checkpoint.consecutiveFailures : 0;
+  let end = null; // { exitCode, reason } once no new loops should start; running ones still finish
+  if (checkpoint) Object.assign(runUsage, checkpoint.usage);
+
+  // Ctrl-C / SIGTERM stop the workers' loops (interrupt.currentLoop "abort") or let them
+  // finish; either way no new loop starts
+  interruption.loop = {
+    task: null,
+    sessionId: null,
+    stop() {
+      for (const worker of active.values()) {
+        try {
+          process.kill(worker.child.pid, interruption.signal);
+        } catch (error) {
+          // Already exited
+        }
+      }
     }
+  };
 
-    const separator = `${'='.repeat(60)}`;
-    const iterationMessage = `🔄 ITERATION ${iteration}/${maxIterations} - Starting task execution...`;
+  const stop = (exitCode, message, reason) => {
+    console.log(`\n${message}`);
+    logToFile(message, 'TERMINATION');
+    end = { exitCode, reason };
+  };
 
-    console.log(`\n${separator}`);
-    console.log(iterationMessage);
-    console.log(`${separator}\n`);
+  try {
+    for (;;) {
+      const control = checkControl();
+      if (control.stop && end === null) stop(EXIT_CODES.stopped, '⏹️  TERMINATION: Stopped from the dashboard', 'dashboard');
+
+      // Fill free slots with ready tasks nobody is working on yet
+      interruption.progress = { mode: 'parallel', iteration: started + 1, consecutiveFailures, selection };
+      while (end === null && !interruption.signal && !control.paused && active.size < parallel) {
+        if (active.size === 0) {
+          end = endOfRun(selection);
+          if (end !== null) break;
+        }
+        if (started >= maxIterations) {
+          stop(EXIT_CODES.maxIterations, `🛑 TERMINATION: Reached maximum ${maxIterations} iterations`, `reached ${maxIterations} iterations`);
+          break;
+        }
+        const budgetReason = checkBudget();
+        if (budgetReason) {
+          stop(EXIT_CODES.budget, `💸 TERMINATION: Budget reached - ${budgetReason}`, budgetReason);
+          break;
+        }
 
-    logToFile(`ITERATION ${iteration}/${maxIterations} - Starting task execution...`, 'INFO');
+        const task = findNextTask(readPlan(), selection, new Set([...active.keys(), ...skippedTasks]));
+        if (!task) break; // Everything that's ready is already running
 
-    try {
-      await runTask();
-      const successMessage = `\n✅ ITERATION ${iteration} COMPLETED SUCCESSFULLY`;
-      const resetMessage = `   Consecutive failures: 0 (reset)`;
-      console.log(successMessage);
-      console.log(resetMessage);
+        started++;
+        logToFile(`Picked task ${task.id}: ${task.text}`, 'TASK');
+        active.set(task.text, startWorker(task, worktreeRoot, started));
+      }
 
-      logToFile(`ITERATION ${iteration} COMPLETED SUCCESSFULLY`, 'SUCCESS');
-      logToFile('Consecutive failures: 0 (reset)', 'INFO');
-      consecutiveFailures = 0; // Reset on success
-      iteration++;
+      if (active.size === 0) {
+        if (!control.paused || end !== null || interruption.signal) break;
+        await new Promise(resolve => setTimeout(resolve, CONTROL_POLL_MS));
+        continue;
+      }
 
-      // Small delay between iterations for readability
-      if (iteration <= maxIterations) {
-        console.log('\n⏳ Preparing next iteration...\n');
-        await new Promise(resolve => setTimeout(resolve, 1000));
+      // Merge workers one at a time, in the order they finish
+      const worker = await Promise.race([...active.values()].map(running => running.done));
+      active.delete(worker.task.text);
+      const result = integrateWorker(worker);
+      if (result.success) {
+        const commits = worker.result ? worker.result.commits || [] : [];
+        await reportCompletedIssues(worker.task, commits.length > 0 ? commits[commits.length - 1] : null);
+      }
+
+      if (result.interrupted) {
+        started--; // Not a failure, and no iteration either - the task is back in the queue
+      } else if (result.success || result.blocked) {
+        consecutiveFailures = 0;
+      } else if (++consecutiveFailures >= maxConsecutiveFailures && end === null) {
+        stop(EXIT_CODES.failed, `💥 TERMINATION: ${maxConsecutiveFailures} consecutive failures reached. System appears unstable.`, `${maxConsecutiveFailures} consecutive failures`);
       }
+    }
+  } finally {
+    for (const worker of active.values()) removeWorktree(worker);
+    try {
+      runGit('worktree prune');
     } catch (error) {
-      consecutiveFailures++;
-      const failMessage = `\n❌ ITERATION ${iteration} FAILED`;
-      const failureCount = `   Consecutive failures: ${consecutiveFailures}/${maxConsecutiveFailures}`;
-      const errorDetail = `   Error: ${error.message}`;
+      // Not fatal - git prunes stale worktrees on its own eventually
+    }
+    fs.rmSync(worktreeRoot, { recursive: true, force: true });
+  }
 
-      console.log(failMessage);
-      console.log(failureCount);
-      console.log(errorDetail);
+  if (interruption.signal && end === null) {
+    interruption.progress = { mode: 'parallel', iteration: started + 1, consecutiveFailures, selection };
+    return exitInterrupted();
+  }
+  if (end && end.exitCode === EXIT_CODES.stopped) writeCheckpoint();
+  printRunSummary();
+  if (end === null) return exitRun(EXIT_CODES.complete);
+  return exitRun(end.exitCode, end.reason);
+}
 
-      logToFile(`ITERATION ${iteration} FAILED`, 'FAILURE');
-      logToFile(`Consecutive failures: ${consecutiveFailures}/${maxConsecutiveFailures}`, 'INFO');
-      logToFile(`Error: ${error.message}`, 'ERROR');
+// ralphio serve - a local dashboard for watching a run. It shares nothing with the run but
+// files: the plan, the events log (streamed over SSE), artifacts and logs for the history,
+// and the control file for pause/stop/skip.
+const DASHBOARD_LOOPS = 20; // Loop artifacts shown in the history
+
+// The plan as a flat, ordered list (ids give the nesting), with what the dashboard asked for
+function buildDashboardTasks(plan) {
+  const { skip } = readControl();
+  return plan.tasks.map(task => ({
+    id: task.id,
+    parent: task.parent,
+    section: task.section,
+    status: task.status,
+    text: task.text,
+    points: task.points,
+    skipped: skip.includes(task.text)
+  }));
+}
 
-      if (consecutiveFailures >= maxConsecutiveFailures) {
-        const terminationMessage = '\n💥 TERMINATION: 3 consecutive failures reached. System appears unstable.';
-        console.log(terminationMessage);
-        logToFile(terminationMessage.trim(), 'TERMINATION');
-        process.exit(1);
+// Latest loop artifacts, newest first, without their event lists
+function readRecentLoops(count) {
+  const { artifactsDir } = getConfig().paths;
+  if (!fs.existsSync(artifactsDir)) return [];
+
+  return fs.readdirSync(artifactsDir)
+    .filter(name => /^loop_.*\.json$/.test(name))
+    .sort()
+    .slice(-count)
+    .reverse()
+    .map((name) => {
+      try {
+        const { events, ...loop } = JSON.parse(fs.readFileSync(path.join(artifactsDir, name), 'utf8'));
+        return { ...loop, events: events.length };
+      } catch (error) {
+        return null; // Being written right now
       }
-      iteration++;
+    })
+    .filter(Boolean);
+}
 
-      // Small delay before retry
-      if (iteration <= maxIterations) {
-        console.log('\n⏳ Retrying next iteration...\n');
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      }
-    }
+// Apply a dashboard request ({ action, taskId }) to the control file; returns the new control
+function applyControlAction({ action, taskId }) {
+  const control = readControl();
+  if (action === 'pause' || action === 'resume') {
+    control.paused = action === 'pause';
+  } else if (action === 'stop') {
+    control.stop = true;
+  } else if (action === 'skip' || action === 'unskip') {
+    const task = findTask(readPlan(), String(taskId));
+    if (!task) throw new Error(`No task ${taskId} in ${getConfig().paths.planFile}`);
+    control.skip = control.skip.filter(text => text !== task.text);
+    if (action === 'skip') control.skip.push(task.text);
+  } else {
+    throw new Error(`Unknown action "${action}" - use pause, resume, stop, skip or unskip`);
   }
+  writeControl(control);
+  logToFile(`Dashboard: ${action}${taskId ? ` ${taskId}` : ''}`, 'CONTROL');
+  return readControl();
+}
 
-  const maxIterationsMessage = `🛑 TERMINATION: Reached maximum ${maxIterations} iterations`;
-  console.log(maxIterationsMessage);
-  logToFile(maxIterationsMessage, 'TERMINATION');
-  process.exit(2);
+function startDashboard({ host, port }) {
+  const http = require('http');
+  const eventsFile = getEventsFile();
+  const clients = new Set();
+  let offset = 0; // Bytes of the events log already sent
+  let partial = ''; // A line still being written
+
+  const send = (client, line) => client.write(`data: ${line}\n\n`);
+
+  // Pass new lines of the events log on to every client; a new run starts the file over
+  const tailEvents = () => {
+    let size = 0;
+    try {
+      size = fs.statSync(eventsFile).size;
+    } catch (error) {
+      return;
+    }
+    if (size < offset) {
+      offset = 0;
+      partial = '';
+      for (const client of clients) send(client, JSON.stringify({ type: 'reset' }));
+    }
+    if (size === offset) return;
+
+    const chunk = Buffer.alloc(size - offset);
+    const fd = fs.openSync(eventsFile, 'r');
+    try {
+      fs.readSync(fd, chunk, 0, chunk.length, offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+    offset = size;
+    const lines = (partial + chunk.toString('utf8')).split('\n');
+    partial = lines.pop();
+    for (const line of lines.filter(Boolean)) {
+      for (const client of clients) send(client, line);
+    }
+  };
+  fs.watchFile(eventsFile, { interval: 500 }, tailEvents);
+  setInterval(() => {
+    for (const client of clients) client.write(': keep-alive\n\n');
+  }, 15000).unref();
+
+  const sendJson = (response, status, body) => {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    response.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    try {
+      if (request.method === 'GET' && pathname === '/') {
+        response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        response.end(fs.readFileSync(path.join(__dirname, 'src', 'dashboard.html'), 'utf8'));
+      } else if (request.method === 'GET' && pathname === '/api/status') {
+        const plan = readPlan();
+        sendJson(response, 200, {
+          ...buildStatusReport(DASHBOARD_LOOPS),
+          taskList: buildDashboardTasks(plan),
+          control: readControl(),
+          loops: readRecentLoops(DASHBOARD_LOOPS)
+        });
+      } else if (request.method === 'GET' && pathname === '/api/events') {
+        // The current run's events so far, then new ones as they come
+        response.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', Connection: 'keep-alive' });
+        tailEvents();
+        const sent = fs.existsSync(eventsFile) ? fs.readFileSync(eventsFile).subarray(0, offset).toString('utf8') : '';
+        for (const line of sent.split('\n').filter(Boolean)) send(response, line);
+        clients.add(response);
+        request.on('close', () => clients.delete(response));
+      } else if (request.method === 'POST' && pathname === '/api/control') {
+        // JSON only: a cross-site form post can't send that without the browser asking first
+        if (!/^application\/json/.test(request.headers['content-type'] || '')) {
+          sendJson(response, 415, { error: 'Send the request as application/json' });
+          return;
+        }
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', (chunk) => {
+          body += chunk;
+        });
+        request.on('end', () => {
+          try {
+            sendJson(response, 200, applyControlAction(JSON.parse(body || '{}')));
+          } catch (error) {
+            sendJson(response, 400, { error: error.message });
+          }
+        });
+      } else {
+        sendJson(response, 404, { error: `Not found: ${request.method} ${pathname}` });
+      }
+    } catch (error) {
+      logToFile(`Dashboard request ${request.method} ${pathname} failed: ${error.message}`, 'ERROR');
+      sendJson(response, 500, { error: error.message });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const url = `http://${host}:${server.address().port}`;
+      console.log(`📺 RALPHIO dashboard: ${url}`);
+      console.log('   Start a run (ralphio --until-success) in another terminal to watch it live. Ctrl-C stops the dashboard.');
+      logToFile(`Dashboard listening on ${url}`, 'START');
+      resolve(server);
+    });
+  });
 }
 
 // Parse arguments
@@ -764,6 +4909,16 @@ if (args.includes('--version')) {
   process.exit(0);
 }
 
+if (!OUTPUT_MODES.includes(outputMode)) {
+  console.error(`❌ Unknown output mode "${outputMode}" - use --output ${OUTPUT_MODES.join('|')}`);
+  process.exit(1);
+}
+if (outputMode === 'json') {
+  // stdout is for events only - everything written for people goes to stderr
+  console.log = console.error;
+  console.info = console.error;
+}
+
 if (args.includes('init')) {
   initializeAgentStructure()
     .then(() => process.exit(0))
@@ -771,6 +4926,106 @@ if (args.includes('init')) {
   return;
 }
 
+// Everything below works on an initialized project - load and validate its config up front
+try {
+  getConfig();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+if (args[0] === 'status') {
+  const lastIndex = args.indexOf('--last');
+  const lastIterations = lastIndex === -1 ? 5 : parseInt(args[lastIndex + 1], 10);
+  if (isNaN(lastIterations) || lastIterations < 0) {
+    console.error('❌ Please provide a number: ralphio status --last <N>');
+    process.exit(1);
+  }
+
+  try {
+    process.exit(printStatus({ json: args.includes('--json'), lastIterations }) ? 0 : 1);
+  } catch (error) {
+    console.error('❌ Error reading status:', error.message);
+    process.exit(1);
+  }
+}
+
+if (args[0] === 'serve') {
+  const { paths, serve } = getConfig();
+  const portValue = args.includes('--port') ? args[args.indexOf('--port') + 1] : String(serve.port);
+  const port = parseInt(portValue, 10);
+  if (isNaN(port) || port < 0 || port > 65535 || String(port) !== portValue) {
+    console.error(`❌ Please provide a port number: ralphio serve --port <port> (got ${portValue === undefined ? 'nothing' : `"${portValue}"`})`);
+    process.exit(1);
+  }
+  const host = args.includes('--host') ? args[args.indexOf('--host') + 1] : serve.host;
+  if (!fs.existsSync(paths.planFile)) {
+    console.error(`❌ No ${paths.planFile} found. Run "ralphio init" first.`);
+    process.exit(1);
+  }
+
+  startDashboard({ host, port }).catch((error) => {
+    console.error(`❌ Could not start the dashboard: ${error.message}`);
+    process.exit(1);
+  });
+  return;
+}
+
+if (args[0] === 'prompts') {
+  if (args[1] && (args[1] !== 'eject' || !args[2])) {
+    console.error('❌ Usage: ralphio prompts [eject <name>]');
+    process.exit(1);
+  }
+  try {
+    process.exit(managePrompts(args[2]) ? 0 : 1);
+  } catch (error) {
+    console.error('❌ Error reading prompts:', error.message);
+    process.exit(1);
+  }
+}
+
+if (args[0] === 'memory') {
+  if (args[1] !== 'compact') {
+    console.error('❌ Usage: ralphio memory compact [--summarize] [--dry-run]');
+    process.exit(1);
+  }
+  const summarize = args.includes('--summarize');
+  if (summarize && !ensureRunner()) {
+    process.exit(1);
+  }
+
+  compactMemory({ summarize, dryRun: args.includes('--dry-run') })
+    .then((success) => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('❌ Error compacting memory:', error.message);
+      process.exit(1);
+    });
+  return;
+}
+
+if (args[0] === 'import') {
+  const source = args[1];
+  const optionValue = (flag) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : null);
+  const label = optionValue('--label');
+  const repo = optionValue('--repo');
+  if (!source || source.startsWith('--') || (args.includes('--label') && !label) || (args.includes('--repo') && !repo)) {
+    console.error('❌ Usage: ralphio import <issues.json|github> [--label <name>] [--repo <owner/name>]');
+    process.exit(1);
+  }
+
+  importIssues(source, { label, repo })
+    .then((success) => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('❌ Unexpected error:', error);
+      process.exit(1);
+    });
+  return;
+}
+
 if (args.includes('--parse-prd')) {
   const prdIndex = args.indexOf('--parse-prd');
   const prdFile = args[prdIndex + 1];
@@ -779,8 +5034,44 @@ if (args.includes('--parse-prd')) {
     console.error('❌ Please provide a PRD file: ralphio --parse-prd <file>');
     process.exit(1);
   }
+  if (!ensureRunner()) {
+    process.exit(1);
+  }
+
+  parsePRD(prdFile, { dryRun: args.includes('--dry-run') })
+    .then((success) => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error('❌ Unexpected error:', error);
+      process.exit(1);
+    });
+  return;
+}
+
+if (args.includes('--expand') || args.includes('--expand-all')) {
+  let options;
+  if (args.includes('--expand-all')) {
+    const value = args[args.indexOf('--expand-all') + 1];
+    const threshold = value === undefined || value.startsWith('--') ? 2 : parseInt(value, 10);
+    if (isNaN(threshold) || threshold < 0) {
+      console.error(`❌ Invalid story point threshold: ${value}`);
+      process.exit(1);
+    }
+    options = { threshold };
+  } else {
+    const selector = args[args.indexOf('--expand') + 1];
+    if (!selector) {
+      console.error('❌ Please provide a task: ralphio --expand <task id or text>');
+      process.exit(1);
+    }
+    options = { selector };
+  }
+  if (!ensureRunner()) {
+    process.exit(1);
+  }
 
-  parsePRD(prdFile)
+  expandTasks(options)
     .then((success) => {
       process.exit(success ? 0 : 1);
     })
@@ -791,29 +5082,166 @@ if (args.includes('--parse-prd')) {
   return;
 }
 
+const force = args.includes('--force');
+
+if (args.includes('--retry-blocked')) {
+  const { planFile } = getConfig().paths;
+  if (!fs.existsSync(planFile)) {
+    console.error(`❌ No ${planFile} found. Run "ralphio init" first.`);
+    process.exit(1);
+  }
+  const requeued = requeueBlockedTasks();
+  console.log(requeued > 0 ? `✅ Requeued ${requeued} blocked tasks` : '✅ No blocked tasks to requeue');
+  if (!args.includes('--once') && !args.includes('--until-success')) {
+    process.exit(0);
+  }
+}
+
+// "--task <id|pattern>" / "--section <heading>" narrow which tasks the loop may pick
+function readSelectorOption(name) {
+  if (!args.includes(name)) return null;
+  const value = args[args.indexOf(name) + 1];
+  if (!value || value.startsWith('--')) {
+    console.error(`❌ Please provide a value: ralphio ${name} <${name === '--task' ? 'task id or text' : 'section heading'}>`);
+    process.exit(1);
+  }
+  return value;
+}
+
+const selection = { task: readSelectorOption('--task'), section: readSelectorOption('--section') };
+if (selection.task || selection.section) {
+  const { planFile } = getConfig().paths;
+  if (fs.existsSync(planFile) && selectTasks(readPlan(planFile), selection).length === 0) {
+    console.error(`❌ No task in ${planFile} matches ${describeSelection(selection)}`);
+    process.exit(1);
+  }
+  logToFile(`Task selection: ${describeSelection(selection)}`, 'INFO');
+}
+
 if (args.includes('--once')) {
+  if (!ensureRunner() || !checkGitSafety(force)) {
+    process.exit(1);
+  }
+
   const startMessage = '🧠 RALPHIO starting single iteration...';
   console.log(startMessage);
   logToFile(startMessage, 'START');
 
-  runTask()
+  interruption.progress = { mode: 'once', iteration: 1, consecutiveFailures: 0, selection };
+  handleInterrupts();
+  startRun({ mode: 'once', selection })
+    .then(() => runTask({ selection }))
     .then(() => {
       logToFile('RALPHIO single iteration completed successfully', 'COMPLETE');
-      process.exit(0);
+      printRunSummary();
+      return exitRun(EXIT_CODES.complete);
     })
-    .catch(() => {
+    .catch((error) => {
+      if (error.interrupted) return exitInterrupted();
       logToFile('RALPHIO single iteration failed', 'COMPLETE');
-      process.exit(1);
+      printRunSummary();
+      return exitRun(EXIT_CODES.failed, error.message);
     });
   return;
 }
 
-if (args.includes('--until-success')) {
+if (args.includes('--resume')) {
+  if (!ensureRunner() || !checkGitSafety(force)) {
+    process.exit(1);
+  }
+
+  const value = args[args.indexOf('--resume') + 1];
+  const { lastSession, checkpoint } = readState();
+  const sessionId = value && !value.startsWith('--') ? value : (lastSession && lastSession.id);
+
+  if (!sessionId) {
+    console.error(`❌ No session to resume - none recorded in ${getConfig().paths.stateFile}. Pass one: ralphio --resume <sessionId>`);
+    process.exit(1);
+  }
+
+  const startMessage = `🧠 RALPHIO resuming session ${sessionId}...`;
+  console.log(startMessage);
+  logToFile(startMessage, 'START');
+
+  // The session a signal interrupted gets its set-aside work back
+  const restore = checkpoint && checkpoint.loop && checkpoint.loop.sessionId === sessionId ? checkpoint.loop : null;
+  if (restore) updateState({ checkpoint: null });
+  const sessionTask = restore ? restore.task : (lastSession && lastSession.id === sessionId ? lastSession.task : null);
+
+  interruption.progress = { mode: 'once', iteration: 1, consecutiveFailures: 0, selection };
+  handleInterrupts();
+  startRun({ mode: 'resume', selection, resumedFrom: sessionId })
+    .then(() => runTask({ resumeSessionId: sessionId, resumeTask: sessionTask, restore }))
+    .then(() => {
+      logToFile('RALPHIO single iteration completed successfully', 'COMPLETE');
+      printRunSummary();
+      return exitRun(EXIT_CODES.complete);
+    })
+    .catch((error) => {
+      if (error.interrupted) return exitInterrupted();
+      logToFile('RALPHIO single iteration failed', 'COMPLETE');
+      printRunSummary();
+      return exitRun(EXIT_CODES.failed, error.message);
+    });
+  return;
+}
+
+if (args.includes('--until-success') || args.includes('--parallel')) {
+  let parallel = null;
+  if (args.includes('--parallel')) {
+    const value = args[args.indexOf('--parallel') + 1];
+    parallel = parseInt(value, 10);
+    if (isNaN(parallel) || parallel < 1 || String(parallel) !== value) {
+      console.error(`❌ Please provide the number of loops to run at once: ralphio --until-success --parallel <N> (got ${value === undefined ? 'nothing' : `"${value}"`})`);
+      process.exit(1);
+    }
+  }
+
+  if (!ensureRunner() || !checkGitSafety(force, parallel ? '--parallel' : undefined)) {
+    process.exit(1);
+  }
+
+  // A run that Ctrl-C / SIGTERM interrupted continues where it stopped, unless --fresh
+  let { checkpoint = null } = readState();
+  if (checkpoint) {
+    const stashed = checkpoint.loop && checkpoint.loop.partialWork.kind === 'stash' ? checkpoint.loop.partialWork.stash : null;
+    if (args.includes('--fresh')) {
+      console.log(`🧹 --fresh: discarding the checkpoint of the run interrupted at ${checkpoint.at}`);
+      if (stashed) console.log(`   Its partial work stays in the stash (${stashed.slice(0, 7)}) - "git stash list" to find it`);
+      logToFile('Checkpoint discarded (--fresh)', 'INFO');
+      checkpoint = null;
+    } else {
+      if (!selection.task && !selection.section) Object.assign(selection, checkpoint.selection);
+      console.log(`↩️  Continuing the run interrupted by ${checkpoint.stoppedBy} at ${checkpoint.at}: iteration ${checkpoint.iteration}, ${checkpoint.consecutiveFailures} consecutive failures${checkpoint.loop && checkpoint.loop.sessionId ? `, resuming session ${checkpoint.loop.sessionId}` : ''} (--fresh starts over)`);
+      if (parallel && stashed) console.log(`   ⚠️ --parallel does not continue a single loop - its partial work stays in the stash (${stashed.slice(0, 7)})`);
+      logToFile(`Continuing from checkpoint written at ${checkpoint.at}`, 'INFO');
+    }
+    updateState({ checkpoint: null });
+  }
+  writeControl({ paused: false, stop: false, skip: [] }); // Requests left over from an earlier run don't apply
+  handleInterrupts();
+  const started = startRun({
+    mode: parallel ? 'parallel' : 'until-success',
+    selection,
+    parallel,
+    maxIterations: getConfig().loop.maxIterations,
+    checkpoint: checkpoint ? checkpoint.at : null
+  });
+
+  if (parallel) {
+    const parallelStartMessage = `🧠 RALPHIO starting up to ${parallel} loops in parallel until success...`;
+    console.log(parallelStartMessage);
+    logToFile(parallelStartMessage, 'START');
+
+    started.then(() => runParallel(selection, parallel, checkpoint)).catch(failRun);
+    return;
+  }
+
   const multiStartMessage = '🧠 RALPHIO starting multi-loop execution until success...';
   console.log(multiStartMessage);
   logToFile(multiStartMessage, 'START');
 
-  runUntilSuccess();
+  started.then(() => runUntilSuccess(selection, checkpoint)).catch(failRun);
   return;
 }
 
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createProject, completingLoop } = require('./helpers');
+
+const PLAN = '# Plan\n- [ ] first task\n- [ ] second task\n';
+
+test('a timed-out loop on a task branch is rolled back and the next iteration starts a fresh session', (t) => {
+  const project = createProject({ plan: PLAN, config: { git: { taskBranches: true } } });
+  t.after(() => project.remove());
+  project.script([
+    { times: 1, steps: [{ write: 'work/partial.txt', content: 'half done\n' }, { sleep: 5000 }] },
+    completingLoop('first task'),
+    completingLoop('second task')
+  ]);
+
+  const result = project.run(['--until-success'], { env: { LOOP_TIMEOUT_MS: '300' } });
+  assert.equal(result.code, 0, result.output);
+  assert.doesNotMatch(result.output, /Next iteration resumes session/);
+  const [timedOut, retried] = project.artifacts();
+  assert.equal(timedOut.outcome, 'failure');
+  assert.equal(retried.resumedFrom, null);
+  assert.equal(retried.outcome, 'success');
+  assert.ok(!project.exists('work/partial.txt'), 'the timed-out work went with its branch');
+  assert.equal(project.git('branch', '--format=%(refname:short)'), 'main');
+});
+
+test('a verified loop is fast-forwarded into the base branch and its task branch is deleted', (t) => {
+  const project = createProject({ plan: PLAN, config: { git: { taskBranches: true } } });
+  t.after(() => project.remove());
+  project.script([completingLoop('first task')]);
+
+  const result = project.run(['--once']);
+  assert.equal(result.code, 0, result.output);
+  assert.match(result.output, /Working on branch ralphio\/1-first-task \(base: main\)/);
+  assert.match(result.output, /Merged ralphio\/1-first-task into main/);
+  assert.equal(project.git('rev-parse', '--abbrev-ref', 'HEAD'), 'main');
+  assert.equal(project.git('branch', '--format=%(refname:short)'), 'main');
+  assert.deepEqual(project.subjects(), ['chore: first task', 'Initial commit'], 'fast-forward, no merge commit');
+  assert.equal(project.read('work/first-task.txt'), 'done\n');
+});
+
+test('a failed loop on a task branch is reset and the branch deleted', (t) => {
+  const project = createProject({ plan: PLAN, config: { git: { taskBranches: true } } });
+  t.after(() => project.remove());
+  project.script([{ steps: [{ write: 'work/broken.txt', content: 'broken\n' }, { text: 'I could not do it' }] }]);
+
+  const result = project.run(['--once']);
+  assert.equal(result.code, 1, result.output);
+  assert.match(result.output, /Verification failed: task "first task" is still unchecked/);
+  assert.equal(project.git('rev-parse', '--abbrev-ref', 'HEAD'), 'main');
+  assert.equal(project.git('branch', '--format=%(refname:short)'), 'main');
+  assert.deepEqual(project.subjects(), ['Initial commit']);
+  assert.ok(!project.exists('work/broken.txt'), 'the failed work was reset');
+  assert.equal(project.git('status', '--porcelain'), '');
+});
+
+test('task branches need a clean working tree unless --force is passed', (t) => {
+  const project = createProject({ plan: PLAN, config: { git: { taskBranches: true } } });
+  t.after(() => project.remove());
+  project.script([completingLoop('first task')]);
+  project.write('notes.txt', 'uncommitted\n');
+
+  const refused = project.run(['--once']);
+  assert.equal(refused.code, 1, refused.output);
+  assert.match(refused.output, /Working tree has uncommitted changes\. Commit or stash them first, or pass --force\./);
+  assert.deepEqual(project.subjects(), ['Initial commit']);
+  assert.equal(project.git('branch', '--format=%(refname:short)'), 'main');
+
+  const forced = project.run(['--once', '--force']);
+  assert.equal(forced.code, 0, forced.output);
+  assert.match(forced.output, /--force: uncommitted changes will be carried onto the first task branch/);
+  assert.equal(project.subjects()[0], 'chore: first task');
+});
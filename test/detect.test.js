@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { RALPHIO, cleanEnv, createProject, completingLoop } = require('./helpers');
+
+function initIn(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ralphio-test-'));
+  for (const [file, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, file), content);
+  const result = spawnSync(process.execPath, [RALPHIO, 'init'], { cwd: dir, encoding: 'utf8', timeout: 30000, env: cleanEnv() });
+  const read = (file) => fs.readFileSync(path.join(dir, file), 'utf8');
+  return { dir, code: result.status, output: result.stdout + result.stderr, read };
+}
+
+test('init records the detected commands in the config and in memory.md', (t) => {
+  const project = initIn({
+    'package.json': JSON.stringify({ packageManager: 'pnpm@9.1.0', scripts: { build: 'tsc -b', lint: 'eslint .' } }),
+    'pnpm-workspace.yaml': 'packages:\n  - packages/*\n',
+    Makefile: 'PYTHON := python3\n\ntest:\n\t$(PYTHON) -m pytest\n'
+  });
+  t.after(() => fs.rmSync(project.dir, { recursive: true, force: true }));
+
+  assert.equal(project.code, 0, project.output);
+  assert.match(project.output, /Detected Make, Node \(pnpm workspace\) - build: pnpm run build · test: make test · lint: pnpm run lint/);
+  assert.deepEqual(JSON.parse(project.read('.agent/agent.config.json')).commands, { build: 'pnpm run build', test: 'make test', lint: 'pnpm run lint' });
+  const memory = project.read('.agent/memory.md');
+  assert.match(memory, /^- \*\*Stack\*\*: Make, Node \(pnpm workspace\)$/m);
+  assert.match(memory, /^- \*\*Test Command\*\*: `make test`$/m);
+  assert.match(project.read('.agent/planning.md'), /^- \[ \] Run pnpm run build to verify project setup$/m);
+});
+
+test('Python and npm projects without the usual scripts', (t) => {
+  const python = initIn({ 'pyproject.toml': '[project]\nname = "app"\n\n[tool.ruff]\nline-length = 100\n\n[tool.pytest.ini_options]\n', 'uv.lock': '' });
+  const npm = initIn({ 'package.json': JSON.stringify({ scripts: { typecheck: 'tsc --noEmit', test: 'echo "Error: no test specified" && exit 1' } }) });
+  t.after(() => {
+    fs.rmSync(python.dir, { recursive: true, force: true });
+    fs.rmSync(npm.dir, { recursive: true, force: true });
+  });
+
+  assert.deepEqual(JSON.parse(python.read('.agent/agent.config.json')).commands, { build: null, test: 'uv run pytest', lint: 'uv run ruff check .' });
+  assert.match(python.read('.agent/memory.md'), /^- \*\*Build Command\*\*: \[To be discovered\]$/m);
+  assert.deepEqual(JSON.parse(npm.read('.agent/agent.config.json')).commands, { build: 'npm run typecheck', test: null, lint: null });
+});
+
+test('loops get the detected commands; config and environment override them', (t) => {
+  const project = createProject({ plan: '# Plan\n- [ ] first task\n', config: { commands: { test: 'cargo nextest run' } } });
+  t.after(() => project.remove());
+  project.write('Cargo.toml', '[package]\nname = "app"\n');
+  project.git('add', '-A');
+  project.git('commit', '-qm', 'cargo');
+  project.script([completingLoop(null, [{ savePrompt: '../prompt.txt' }])]);
+
+  const result = project.run(['--once'], { env: { RALPHIO_LINT_COMMAND: 'cargo fmt --check' } });
+  assert.equal(result.code, 0, result.output);
+  assert.match(result.output, /🧰 Rust - build: cargo build · test: cargo nextest run · lint: cargo fmt --check/);
+  const prompt = fs.readFileSync(`${project.root}/prompt.txt`, 'utf8');
+  assert.match(prompt, /3\. Keep iterating until ALL tests pass \(`cargo nextest run`\)\n4\. Run `cargo build` to verify, and `cargo fmt --check`/);
+  assert.match(prompt, /implement task, run cargo build to verify\./);
+});
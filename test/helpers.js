@@ -0,0 +1,195 @@
+// Test harness: every case gets a fresh git repo with "ralphio init" run in it, and
+// runs the real CLI against the scripted agent runner - no network, no Claude Code.
+
+const { spawn, spawnSync, execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const RALPHIO = path.resolve(__dirname, '..', 'ralphio.js');
+
+// Environment the CLI must not pick up from the machine running the tests
+const LEAKING_ENV = /^(RALPHIO_|LOOP_TIMEOUT_MS$|CLAUDE_CODE_EXECUTABLE$|CLAUDE_PATH$|GIT_)/;
+
+function cleanEnv(overrides = {}) {
+  const env = {};
+  for (const [name, value] of Object.entries(process.env)) {
+    if (!LEAKING_ENV.test(name)) env[name] = value;
+  }
+  return {
+    ...env,
+    GIT_AUTHOR_NAME: 'Ralphio Test',
+    GIT_AUTHOR_EMAIL: 'test@ralphio.invalid',
+    GIT_COMMITTER_NAME: 'Ralphio Test',
+    GIT_COMMITTER_EMAIL: 'test@ralphio.invalid',
+    ...overrides
+  };
+}
+
+// A throwaway project. `plan` replaces .agent/planning.md and `config` is merged into
+// .agent/agent.config.json (one level deep) before the initial commit.
+function createProject({ plan = null, config = {} } = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ralphio-test-'));
+  const dir = path.join(root, 'project');
+  fs.mkdirSync(dir);
+  const scriptFile = path.join(root, 'agent-script.json');
+
+  const project = {
+    dir,
+    root,
+
+    git(...args) {
+      return execFileSync('git', args, { cwd: dir, encoding: 'utf8', env: cleanEnv() }).trim();
+    },
+
+    // Loops the scripted runner plays - see createScriptedRunner() in ralphio.js
+    script(loops) {
+      fs.writeFileSync(scriptFile, JSON.stringify({ loops }, null, 2));
+    },
+
+    run(args, { env = {}, timeout = 60000 } = {}) {
+      const result = spawnSync(process.execPath, [RALPHIO, ...args], {
+        cwd: dir,
+        encoding: 'utf8',
+        timeout,
+        env: cleanEnv({ RALPHIO_RUNNER: 'scripted', RALPHIO_AGENT_SCRIPT: scriptFile, ...env })
+      });
+      return { code: result.status, stdout: result.stdout, stderr: result.stderr, output: result.stdout + result.stderr };
+    },
+
+    // Like run(), but in the background - for sending signals. waitFor(pattern) resolves
+    // with the match once the output matches; exited resolves like run() once the CLI is gone.
+    start(args, { env = {}, timeout = 60000 } = {}) {
+      const child = spawn(process.execPath, [RALPHIO, ...args], {
+        cwd: dir,
+        env: cleanEnv({ RALPHIO_RUNNER: 'scripted', RALPHIO_AGENT_SCRIPT: scriptFile, ...env })
+      });
+      let output = '';
+      const waiting = [];
+      const onData = (chunk) => {
+        output += chunk;
+        for (const waiter of waiting.filter(({ pattern }) => pattern.test(output))) {
+          waiting.splice(waiting.indexOf(waiter), 1);
+          waiter.resolve(waiter.pattern.exec(output));
+        }
+      };
+      child.stdout.setEncoding('utf8').on('data', onData);
+      child.stderr.setEncoding('utf8').on('data', onData);
+      const timer = setTimeout(() => child.kill('SIGKILL'), timeout);
+
+      return {
+        child,
+        exited: new Promise((resolve) => {
+          child.on('close', (code) => {
+            clearTimeout(timer);
+            for (const waiter of waiting) waiter.reject(new Error(`Exited before printing ${waiter.pattern}:\n${output}`));
+            resolve({ code, output });
+          });
+        }),
+        waitFor(pattern) {
+          if (pattern.test(output)) return Promise.resolve(pattern.exec(output));
+          return new Promise((resolve, reject) => waiting.push({ pattern, resolve, reject }));
+        }
+      };
+    },
+
+    read(file) {
+      return fs.readFileSync(path.join(dir, file), 'utf8');
+    },
+
+    write(file, content) {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), content);
+    },
+
+    exists(file) {
+      return fs.existsSync(path.join(dir, file));
+    },
+
+    readJson(file) {
+      return JSON.parse(project.read(file));
+    },
+
+    // Commit subjects, newest first
+    subjects() {
+      return project.git('log', '--format=%s').split('\n');
+    },
+
+    log() {
+      const logsDir = path.join(dir, '.agent', 'logs');
+      return fs.readdirSync(logsDir)
+        .filter(file => /^ralphio_.*\.log$/.test(file))
+        .map(file => fs.readFileSync(path.join(logsDir, file), 'utf8'))
+        .join('');
+    },
+
+    artifacts() {
+      const artifactsDir = path.join(dir, '.agent', 'artifacts', 'loops');
+      return fs.readdirSync(artifactsDir)
+        .sort()
+        .map(file => JSON.parse(fs.readFileSync(path.join(artifactsDir, file), 'utf8')));
+    },
+
+    remove() {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  };
+
+  project.git('init', '-q');
+  project.git('checkout', '-q', '-b', 'main');
+  project.script([]);
+
+  const init = project.run(['init']);
+  if (init.code !== 0) {
+    throw new Error(`ralphio init failed:\n${init.output}`);
+  }
+
+  if (plan !== null) {
+    project.write('.agent/planning.md', plan);
+  }
+  const configFile = '.agent/agent.config.json';
+  const current = project.readJson(configFile);
+  for (const [section, values] of Object.entries(config)) {
+    current[section] = { ...current[section], ...values };
+  }
+  project.write(configFile, JSON.stringify(current, null, 2));
+
+  // Logs, artifacts, state and control requests are harness files - keep them out of the project history
+  project.write('.gitignore', '.agent/logs/\n.agent/artifacts/\n.agent/state.json\n.agent/control.json\n');
+  project.git('add', '-A');
+  project.git('commit', '-q', '-m', 'Initial commit');
+
+  return project;
+}
+
+// A scripted loop that does some work and ticks its task
+function completingLoop(match, extraSteps = []) {
+  return {
+    ...(match ? { match } : {}),
+    steps: [
+      { text: 'Working on the task' },
+      { tool: 'Bash', input: { command: 'npm test' }, result: 'ok' },
+      { write: `work/${(match || 'task').replace(/\W+/g, '-')}.txt`, content: 'done\n' },
+      ...extraSteps,
+      { checkTask: true }
+    ],
+    costUsd: 0.01,
+    usage: { input_tokens: 100, output_tokens: 20 }
+  };
+}
+
+// A scripted loop that never ticks its task, so verification fails
+function failingLoop(match) {
+  return {
+    ...(match ? { match } : {}),
+    steps: [{ text: 'I could not do it' }]
+  };
+}
+
+module.exports = {
+  RALPHIO,
+  cleanEnv,
+  createProject,
+  completingLoop,
+  failingLoop
+};
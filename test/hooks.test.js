@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const { createProject, completingLoop } = require('./helpers');
+
+const PLAN = '# Plan\n- [ ] first task\n- [ ] second task\n';
+
+test('beforeCommit commands see the loop\'s changes, can add to the commit and fail the loop', (t) => {
+  const project = createProject({
+    plan: PLAN,
+    config: {
+      hooks: {
+        beforeCommit: [
+          'cat > "../payload-$RALPHIO_TASK_ID.json"',
+          'echo formatted >> work/format.log',
+          'test "$RALPHIO_TASK_ID" != 2 || { echo "lint: trailing spaces in work/second-task.txt"; exit 3; }'
+        ]
+      }
+    }
+  });
+  t.after(() => project.remove());
+  project.script([completingLoop('first task'), completingLoop('second task')]);
+
+  const first = project.run(['--once']);
+  assert.equal(first.code, 0, first.output);
+  const payload = JSON.parse(fs.readFileSync(`${project.root}/payload-1.json`, 'utf8'));
+  assert.equal(payload.hook, 'beforeCommit');
+  assert.deepEqual(payload.task, { id: '1', text: 'first task', section: 'Plan' });
+  assert.deepEqual(payload.files, ['.agent/planning.md', 'work/first-task.txt']);
+  assert.match(payload.diff, /\+\+\+ b\/work\/first-task\.txt\n@@ .* @@\n\+done\n/);
+  assert.equal(project.subjects()[0], 'chore: first task');
+  assert.deepEqual(project.git('show', '--name-only', '--format=', 'HEAD').split('\n').filter(file => file.startsWith('work/')), ['work/first-task.txt', 'work/format.log']);
+
+  const second = project.run(['--once']);
+  assert.equal(second.code, 1, second.output);
+  assert.match(second.output, /Verification failed: beforeCommit hook "test .*" failed \(exit code 3\)/);
+  assert.equal(project.subjects()[0], 'chore: first task');
+  assert.match(project.readJson('.agent/state.json').lastFailure.output, /lint: trailing spaces in work\/second-task\.txt/);
+  assert.match(project.read('.agent/planning.md'), /- \[x\] second task/, 'the failed work is left for the next loop to fix');
+});
+
+test('plugins can veto a loop and hear about each loop and the end of the run', (t) => {
+  const project = createProject({ plan: '# Plan\n- [ ] first task\n- [ ] manual migration\n', config: { loop: { maxTaskAttempts: 1 } } });
+  t.after(() => project.remove());
+  project.write('.agent/plugins/guard.js', `
+const fs = require('fs');
+const record = (payload) => fs.appendFileSync('../hooks.ndjson', JSON.stringify(payload) + '\\n');
+module.exports = {
+  beforeRun: record,
+  beforeLoop(payload) {
+    record(payload);
+    if (/migration/.test(payload.task.text)) throw new Error('migrations are done by hand');
+  },
+  onMessage: record,
+  async afterLoop(payload) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+    record(payload);
+  },
+  afterRun: record,
+  helper() {}
+};
+`);
+  project.script([completingLoop('first task')]);
+
+  const result = project.run(['--until-success']);
+  assert.equal(result.code, 4, result.output);
+  assert.match(result.output, /Plugin \.agent\/plugins\/guard\.js: helper is not a hook - ignoring/);
+  assert.match(result.output, /RALPHIO failed: beforeLoop hook in \.agent\/plugins\/guard\.js failed: migrations are done by hand/);
+
+  const calls = fs.readFileSync(`${project.root}/hooks.ndjson`, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(calls.map(call => [call.hook, call.task ? call.task.text : null, call.event ? call.event.type : null]), [
+    ['beforeRun', null, null],
+    ['beforeLoop', 'first task', null],
+    ['onMessage', 'first task', 'text'],
+    ['onMessage', 'first task', 'tool_use'],
+    ['onMessage', 'first task', 'tool_result'],
+    ['afterLoop', 'first task', null],
+    ['beforeLoop', 'manual migration', null],
+    ['afterLoop', 'manual migration', null],
+    ['afterRun', null, null]
+  ]);
+  assert.equal(calls[0].mode, 'until-success');
+  assert.deepEqual([calls[5].outcome, calls[5].commits.length], ['success', 1]);
+  assert.deepEqual([calls[7].outcome, calls[7].blocked], ['failure', true]);
+  assert.deepEqual([calls[8].summary.exitCode, calls[8].summary.outcome], [4, 'blocked']);
+  assert.equal(project.artifacts()[1].events.length, 0, 'the agent never started on the vetoed task');
+});
+
+test('a failing beforeRun command ends the run before its first loop', (t) => {
+  const project = createProject({
+    plan: PLAN,
+    config: { hooks: { beforeRun: ['echo "not on the release branch"; exit 1'], afterRun: ['cat > ../summary.json'] } }
+  });
+  t.after(() => project.remove());
+  project.script([completingLoop()]);
+
+  const result = project.run(['--until-success']);
+  assert.equal(result.code, 1, result.output);
+  assert.match(result.output, /beforeRun hook "echo .*" failed \(exit code 1\)\nnot on the release branch/);
+  assert.equal(project.artifacts().length, 0);
+  assert.deepEqual(JSON.parse(fs.readFileSync(`${project.root}/summary.json`, 'utf8')).summary.exitCode, 1);
+});
+
+test('a hook command that runs too long is killed without holding up the loop', (t) => {
+  const project = createProject({ plan: PLAN, config: { hooks: { onMessage: ['sleep 20'], timeoutMs: 300 } } });
+  t.after(() => project.remove());
+  project.script([completingLoop('first task')]);
+
+  const startedAt = Date.now();
+  const result = project.run(['--once']);
+  assert.equal(result.code, 0, result.output);
+  assert.match(result.output, /onMessage hook "sleep 20" timed out after 300ms/);
+  assert.ok(Date.now() - startedAt < 15000, 'the sleeping commands were stopped');
+  assert.equal(project.subjects()[0], 'chore: first task');
+});
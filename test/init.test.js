@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { RALPHIO, cleanEnv, createProject } = require('./helpers');
+
+test('init scaffolds .agent with config, memory, plan and prompt', (t) => {
+  const project = createProject();
+  t.after(() => project.remove());
+
+  for (const file of ['agent.config.json', 'memory.md', 'planning.md', 'prompt.md']) {
+    assert.ok(project.exists(`.agent/${file}`), `.agent/${file} should exist`);
+  }
+  assert.ok(project.exists('.agent/artifacts/loops'));
+  assert.ok(project.exists('.agent/logs'));
+
+  const config = project.readJson('.agent/agent.config.json');
+  assert.equal(config.paths.planFile, './.agent/planning.md');
+  assert.equal(config.loop.maxIterations, 50);
+  assert.equal(config.agent.runner, 'claude');
+
+  const bundledPrompt = fs.readFileSync(path.join(__dirname, '..', 'src', 'prompts', 'system_prompt_tdd.md'), 'utf8');
+  assert.equal(project.read('.agent/prompt.md'), bundledPrompt);
+  assert.match(project.read('.agent/planning.md'), /^- \[ \] /m);
+});
+
+test('init scaffolds wherever the configured paths point', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ralphio-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const config = {
+    paths: {
+      agentDir: './ralph',
+      memoryFile: './ralph/memory.md',
+      planFile: './docs/plan.md',
+      promptFile: './ralph/prompt.md',
+      artifactsDir: './ralph/loops',
+      logsDir: './ralph/logs'
+    }
+  };
+  fs.mkdirSync(path.join(dir, 'ralph'));
+  fs.writeFileSync(path.join(dir, 'ralph', 'config.json'), JSON.stringify(config));
+
+  const result = spawnSync(process.execPath, [RALPHIO, 'init'], { cwd: dir, encoding: 'utf8', timeout: 30000, env: cleanEnv({ RALPHIO_CONFIG: './ralph/config.json' }) });
+  assert.equal(result.status, 0, result.stdout + result.stderr);
+  for (const file of ['ralph/memory.md', 'ralph/prompt.md', 'docs/plan.md', 'ralph/loops', 'ralph/logs']) {
+    assert.ok(fs.existsSync(path.join(dir, file)), `${file} should exist`);
+  }
+  assert.ok(!fs.existsSync(path.join(dir, '.agent')));
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'ralph', 'config.json'), 'utf8')), config, 'the existing config is kept');
+  assert.match(result.stdout, /Edit \.\/docs\/plan\.md to add your tasks/);
+});
+
+test('init leaves an existing .agent directory alone', (t) => {
+  const project = createProject({ plan: '# Plan\n- [ ] keep me\n' });
+  t.after(() => project.remove());
+
+  const result = project.run(['init']);
+  assert.equal(result.code, 0);
+  assert.match(result.output, /already exists/);
+  assert.equal(project.read('.agent/planning.md'), '# Plan\n- [ ] keep me\n');
+});
+
+test('--help and status work without the Claude Code SDK installed', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ralphio-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // A copy of the CLI with no node_modules anywhere above it
+  const cli = path.join(dir, 'ralphio.js');
+  fs.copyFileSync(RALPHIO, cli);
+  fs.copyFileSync(path.join(__dirname, '..', 'package.json'), path.join(dir, 'package.json'));
+  const run = (args) => spawnSync(process.execPath, [cli, ...args], { cwd: dir, encoding: 'utf8', timeout: 30000, env: cleanEnv() });
+
+  assert.equal(run(['--help']).status, 0);
+  assert.equal(run(['init']).status, 0);
+  assert.equal(run(['status']).status, 0);
+
+  const once = run(['--once']);
+  assert.equal(once.status, 1);
+  assert.match(once.stderr, /Claude Code CLI not found/);
+});
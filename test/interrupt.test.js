@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createProject } = require('./helpers');
+
+const PLAN = '# Plan\n- [ ] first task\n- [ ] second task\n';
+
+// A loop that writes some work and then takes its time
+const slowLoop = { steps: [{ write: 'work/partial.txt', content: 'half done\n' }, { text: 'working on it' }, { sleep: 30000 }] };
+
+test('Ctrl-C stashes the loop and --until-success continues its session', async (t) => {
+  const project = createProject({ plan: PLAN });
+  t.after(() => project.remove());
+  project.script([slowLoop]);
+
+  const run = project.start(['--until-success']);
+  await run.waitFor(/working on it/);
+  run.child.kill('SIGINT');
+  const interrupted = await run.exited;
+  assert.equal(interrupted.code, 130, interrupted.output);
+  assert.match(interrupted.output, /RUN INTERRUPTED at iteration 1/);
+  assert.match(interrupted.output, /1 iterations \(0 succeeded, 0 failed, 1 interrupted\)/);
+
+  const state = project.readJson('.agent/state.json');
+  assert.equal(state.checkpoint.stoppedBy, 'SIGINT');
+  assert.equal(state.checkpoint.iteration, 1);
+  assert.equal(state.checkpoint.consecutiveFailures, 0);
+  assert.match(state.checkpoint.loop.sessionId, /^scripted-\d+-1$/);
+  assert.equal(state.checkpoint.loop.partialWork.kind, 'stash');
+  assert.equal(state.lastSession.outcome, 'interrupted');
+  assert.ok(!state.lastFailure, 'an interrupted loop is not a failure');
+  assert.ok(!(state.taskAttempts || {})['first task'], 'an interrupted loop is not an attempt');
+  assert.ok(!project.exists('work/partial.txt'));
+  assert.match(project.git('stash', 'list'), /ralphio: interrupted task 1/);
+
+  project.script([{ steps: [{ checkTask: true }] }]);
+  const result = project.run(['--until-success'], { env: { RALPHIO_MAX_ITERATIONS: '1' } });
+  assert.equal(result.code, 2, result.output);
+  assert.match(result.output, /Continuing the run interrupted by SIGINT .*: iteration 1, 0 consecutive failures, resuming session scripted-\d+-1/);
+  assert.match(result.output, /Restored the interrupted loop's work/);
+  assert.equal(project.subjects()[0], 'chore: first task');
+  assert.match(project.git('show', '--name-only', '--format=', 'HEAD'), /work\/partial\.txt/);
+  assert.equal(project.artifacts().pop().resumedFrom, state.checkpoint.loop.sessionId);
+  assert.equal(project.git('stash', 'list'), '');
+  assert.equal(project.readJson('.agent/state.json').checkpoint, null);
+});
+
+test('SIGTERM with interrupt.partialWork "commit" leaves a wip commit', async (t) => {
+  const project = createProject({ plan: PLAN, config: { interrupt: { partialWork: 'commit' } } });
+  t.after(() => project.remove());
+  project.script([slowLoop]);
+
+  const run = project.start(['--once']);
+  await run.waitFor(/working on it/);
+  run.child.kill('SIGTERM');
+  const { code, output } = await run.exited;
+  assert.equal(code, 143, output);
+  assert.equal(project.subjects()[0], 'wip: first task');
+  assert.match(project.git('log', '-1', '--format=%B'), /^Ralphio-Task-Id: 1$/m);
+  assert.equal(project.readJson('.agent/state.json').checkpoint.loop.partialWork.kind, 'commit');
+});
+
+test('--fresh discards the checkpoint', async (t) => {
+  const project = createProject({ plan: PLAN });
+  t.after(() => project.remove());
+  project.script([slowLoop]);
+
+  const run = project.start(['--once']);
+  await run.waitFor(/working on it/);
+  run.child.kill('SIGINT');
+  assert.equal((await run.exited).code, 130);
+
+  project.script([{ steps: [{ checkTask: true }] }]);
+  const result = project.run(['--until-success', '--fresh'], { env: { RALPHIO_MAX_ITERATIONS: '1' } });
+  assert.match(result.output, /--fresh: discarding the checkpoint/);
+  assert.match(result.output, /stays in the stash/);
+  assert.equal(project.artifacts().pop().resumedFrom, null);
+  assert.match(project.git('stash', 'list'), /ralphio: interrupted task 1/);
+});
+
+test('with interrupt.currentLoop "finish" a second signal quits on the spot', async (t) => {
+  const project = createProject({ plan: PLAN, config: { interrupt: { currentLoop: 'finish' } } });
+  t.after(() => project.remove());
+  project.script([slowLoop]);
+
+  const started = Date.now();
+  const run = project.start(['--until-success']);
+  await run.waitFor(/working on it/);
+  run.child.kill('SIGINT');
+  await run.waitFor(/finishing the current loop/);
+  run.child.kill('SIGINT');
+  const { code, output } = await run.exited;
+  assert.equal(code, 130, output);
+  assert.ok(Date.now() - started < 20000, 'did not wait for the loop');
+  assert.match(output, /SIGINT again - quitting now/);
+
+  const { checkpoint } = project.readJson('.agent/state.json');
+  assert.equal(checkpoint.forced, true);
+  assert.equal(checkpoint.loop.partialWork.kind, 'keep');
+  assert.ok(project.exists('work/partial.txt'), 'the work is left where it was');
+});
@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { createProject, completingLoop } = require('./helpers');
+
+// A GitHub-compatible API for one repository; `requests` records what the CLI sent
+async function startMockApi(t, issues) {
+  const api = { requests: [], failing: false };
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', (chunk) => { body += chunk; });
+    request.on('end', () => {
+      api.requests.push({ method: request.method, url: request.url, authorization: request.headers.authorization, body: body ? JSON.parse(body) : null });
+      const reply = (status, data) => {
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(data));
+      };
+      if (api.failing) return reply(502, { message: 'Bad gateway' });
+      if (request.method === 'GET' && request.url.startsWith('/repos/acme/shop/issues?')) return reply(200, issues);
+      if (request.method === 'POST' && /^\/repos\/acme\/shop\/issues\/\d+\/comments$/.test(request.url)) return reply(201, { id: 1 });
+      if (request.method === 'PATCH' && /^\/repos\/acme\/shop\/issues\/\d+$/.test(request.url)) return reply(200, { state: 'closed' });
+      reply(404, { message: 'Not Found' });
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  api.url = `http://127.0.0.1:${server.address().port}`;
+  return api;
+}
+
+test('import adds open issues from a gh export once, keeping their numbers', (t) => {
+  const project = createProject({ plan: '# Plan\n- [x] Set up the project\n' });
+  t.after(() => project.remove());
+  const exported = [
+    { number: 12, title: 'Add a dark mode', body: 'Users want it.\n\nMatch the OS setting.', labels: [{ name: 'P1' }], state: 'OPEN', url: 'https://github.com/acme/shop/issues/12' },
+    { number: 7, title: 'Fix the cart total', body: '', labels: [], state: 'OPEN', url: 'https://github.com/acme/shop/issues/7' },
+    { number: 3, title: 'Old bug', body: '', labels: [], state: 'CLOSED' }
+  ];
+  project.write('issues.json', JSON.stringify(exported));
+
+  const result = project.run(['import', 'issues.json']);
+  assert.equal(result.code, 0, result.output);
+  assert.match(result.output, /Added 2 issues to \.\/\.agent\/planning\.md/);
+  assert.match(result.output, /Set issues\.repo in agent\.config\.json/);
+
+  const today = new Date().toISOString().split('T')[0];
+  assert.equal(project.read('.agent/planning.md'), [
+    '# Plan',
+    '- [x] Set up the project',
+    '',
+    `## Tasks from issues (${today})`,
+    '- [ ] Fix the cart total (issue: #7)',
+    '  - Issue: https://github.com/acme/shop/issues/7',
+    '- [ ] Add a dark mode [P1] (issue: #12)',
+    '  - Issue: https://github.com/acme/shop/issues/12',
+    '  - Details: Users want it. Match the OS setting.',
+    ''
+  ].join('\n'));
+  const status = project.run(['status', '--json']);
+  assert.equal(JSON.parse(status.stdout).nextTask.text, 'Add a dark mode [P1] (issue: #12)');
+
+  project.write('issues.json', JSON.stringify([
+    { ...exported[0], state: 'CLOSED' },
+    exported[1],
+    { number: 15, title: 'Export orders as CSV', labels: ['P3'], state: 'OPEN' }
+  ]));
+  const again = project.run(['import', 'issues.json']);
+  assert.equal(again.code, 0, again.output);
+  assert.match(again.output, /Issue #12 is closed, but task 3 is still open/);
+  assert.match(again.output, /Added 1 issues to \.\/\.agent\/planning\.md \(1 already planned\)/);
+  assert.match(project.read('.agent/planning.md'), /\n- \[ \] Export orders as CSV \[P3\] \(issue: #15\)\n$/);
+
+  project.write('broken.json', '{"issues": []}');
+  const broken = project.run(['import', 'broken.json']);
+  assert.equal(broken.code, 1);
+  assert.match(broken.output, /broken\.json must hold a list of issues/);
+});
+
+test('issues imported from the API are commented on and closed when their task is done', async (t) => {
+  const api = await startMockApi(t, [
+    { number: 4, title: 'Add login', body: 'With email and password.', labels: [], state: 'open', html_url: 'https://github.com/acme/shop/issues/4' },
+    { number: 5, title: 'Add a search box', body: null, labels: [{ name: 'ui' }], state: 'open', html_url: 'https://github.com/acme/shop/issues/5' },
+    { number: 6, title: 'Bump dependencies', labels: [], state: 'open', pull_request: { url: 'x' } }
+  ]);
+  const project = createProject({
+    plan: '# Plan\n',
+    config: { issues: { repo: 'acme/shop', apiUrl: api.url, tokenEnv: 'SHOP_TOKEN', onComplete: 'close' } }
+  });
+  t.after(() => project.remove());
+  const env = { SHOP_TOKEN: 'secret' };
+
+  const imported = await project.start(['import', 'github'], { env }).exited;
+  assert.equal(imported.code, 0, imported.output);
+  assert.match(imported.output, /Reading open issues from acme\/shop on http:\/\/127\.0\.0\.1:\d+/);
+  assert.deepEqual(api.requests.map(request => [request.method, request.url, request.authorization]), [
+    ['GET', '/repos/acme/shop/issues?state=open&per_page=100&page=1', 'Bearer secret']
+  ]);
+  assert.deepEqual(project.read('.agent/planning.md').split('\n').filter(line => line.startsWith('- [ ]')), [
+    '- [ ] Add login (issue: #4)',
+    '- [ ] Add a search box (issue: #5)'
+  ]);
+  project.git('add', '-A');
+  project.git('commit', '-qm', 'Import issues');
+
+  api.requests = [];
+  project.script([completingLoop('Add login'), completingLoop('Add a search box')]);
+  const first = await project.start(['--once'], { env }).exited;
+  assert.equal(first.code, 0, first.output);
+  assert.match(first.output, /Closed issue #4/);
+  const sha = project.git('rev-parse', 'HEAD');
+  assert.deepEqual(api.requests.map(request => [request.method, request.url, request.body]), [
+    ['POST', '/repos/acme/shop/issues/4/comments', { body: `Completed by ralphio in ${sha}: task 1 "Add login"` }],
+    ['PATCH', '/repos/acme/shop/issues/4', { state: 'closed', state_reason: 'completed' }]
+  ]);
+
+  api.failing = true;
+  const second = await project.start(['--once'], { env }).exited;
+  assert.equal(second.code, 0, 'a failed issue update does not fail the loop');
+  assert.match(second.output, /Could not update issue #5: POST http:\/\/127\.0\.0\.1:\d+\/repos\/acme\/shop\/issues\/5\/comments: 502 Bad gateway/);
+  assert.equal(project.subjects()[0], 'chore: Add a search box');
+});
@@ -0,0 +1,384 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const { createProject, completingLoop, failingLoop } = require('./helpers');
+
+const TWO_TASKS = '# Plan\n\n## Backend\n- [ ] first task (1 story)\n- [ ] second task (2 stories)\n';
+
+test('--once completes the next task and commits it with trailers', (t) => {
+  const project = createProject({ plan: TWO_TASKS });
+  t.after(() => project.remove());
+  project.script([completingLoop()]);
+
+  const result = project.run(['--once']);
+  assert.equal(result.code, 0, result.output);
+
+  assert.match(project.read('.agent/planning.md'), /- \[x\] first task/);
+  assert.match(project.read('.agent/planning.md'), /- \[ \] second task/);
+  assert.ok(project.exists('work/task.txt'));
+
+  assert.equal(project.subjects()[0], 'chore: first task');
+  const body = project.git('log', '-1', '--format=%B');
+  assert.match(body, /^Task: first task \(1 story\)$/m);
+  assert.match(body, /^Ralphio-Session: scripted-\d+-1$/m);
+  assert.match(body, /^Ralphio-Task-Id: 1$/m);
+  assert.equal(project.git('status', '--porcelain'), '');
+
+  assert.match(project.log(), /\[TASK\] Picked task 1: first task \(1 story\)/);
+  const [artifact] = project.artifacts();
+  assert.equal(artifact.outcome, 'success');
+  assert.equal(artifact.task.id, '1');
+  assert.equal(artifact.usage.inputTokens, 100);
+  assert.ok(artifact.events.some(event => event.type === 'tool_use' && event.name === 'Bash'));
+  assert.match(result.output, /RUN SUMMARY: 1 iterations \(1 succeeded, 0 failed\)/);
+});
+
+test('the highest-priority ready task is picked first', (t) => {
+  const project = createProject({ plan: '# Plan\n- [ ] later [P3]\n- [ ] urgent [P0]\n' });
+  t.after(() => project.remove());
+  project.script([completingLoop()]);
+
+  assert.equal(project.run(['--once']).code, 0);
+  assert.match(project.read('.agent/planning.md'), /- \[ \] later \[P3\]\n- \[x\] urgent \[P0\]/);
+});
+
+test('auto-commit keeps quotes, shell syntax and non-ASCII in task names intact', (t) => {
+  const title = 'Handle "quoted" `ticks` $(touch pwned) and ünïcödé — ok';
+  const project = createProject({ plan: `# Plan\n- [ ] ${title}\n` });
+  t.after(() => project.remove());
+  project.script([completingLoop()]);
+
+  assert.equal(project.run(['--once']).code, 0);
+  assert.equal(project.subjects()[0], `chore: ${title}`);
+  assert.ok(!project.exists('pwned'), 'the task text must never reach a shell');
+});
+
+test('TDD markers pick the conventional commit type', (t) => {
+  const project = createProject({ plan: '# Plan\n- [ ] Login form [TEST]\n- [ ] Login form [IMPLEMENT]\n' });
+  t.after(() => project.remove());
+  project.script([completingLoop()]);
+
+  assert.equal(project.run(['--until-success']).code, 0);
+  assert.deepEqual(project.subjects().slice(0, 2), ['feat: Login form', 'test: Login form']);
+});
+
+test('a loop that leaves its task unchecked fails verification and is not committed', (t) => {
+  const project = createProject({ plan: TWO_TASKS });
+  t.after(() => project.remove());
+  project.script([failingLoop()]);
+
+  const result = project.run(['--once']);
+  assert.equal(result.code, 1);
+  assert.match(result.output, /still unchecked/);
+  assert.match(result.output, /RUN SUMMARY: 1 iterations \(0 succeeded, 1 failed\)/);
+  assert.equal(project.subjects()[0], 'Initial commit');
+
+  const state = project.readJson('.agent/state.json');
+  assert.match(state.lastFailure.reason, /Verification failed/);
+  assert.equal(project.artifacts()[0].outcome, 'failure');
+});
+
+test('--until-success stops with exit 0 once every task is done', (t) => {
+  const project = createProject({ plan: TWO_TASKS });
+  t.after(() => project.remove());
+  project.script([completingLoop()]);
+
+  const result = project.run(['--until-success']);
+  assert.equal(result.code, 0, result.output);
+  assert.match(result.output, /ALL TASKS COMPLETED/);
+  assert.match(result.output, /RUN SUMMARY: 2 iterations \(2 succeeded, 0 failed\)/);
+  assert.deepEqual(project.subjects(), ['chore: second task', 'chore: first task', 'Initial commit']);
+  assert.match(project.log(), /ALL TASKS COMPLETED - TERMINATING SUCCESSFULLY/);
+});
+
+test('--until-success has nothing to do when only fenced or checked tasks remain', (t) => {
+  const project = createProject({ plan: '# Plan\n- [x] done\n```\n- [ ] example in a code block\n```\n' });
+  t.after(() => project.remove());
+
+  const result = project.run(['--until-success']);
+  assert.equal(result.code, 0);
+  assert.match(result.output, /ALL TASKS ALREADY COMPLETED/);
+});
+
+test('--until-success without .agent/planning.md falls back to a root planning.md', (t) => {
+  const project = createProject();
+  t.after(() => project.remove());
+  project.git('rm', '-q', '.agent/planning.md');
+  project.git('commit', '-qm', 'No plan yet');
+  project.script([completingLoop()]);
+
+  const empty = project.run(['--until-success']);
+  assert.equal(empty.code, 0, empty.output);
+  assert.match(empty.output, /ALL TASKS ALREADY COMPLETED/);
+
+  project.write('planning.md', '# Plan\n- [ ] legacy task\n');
+  const result = project.run(['--until-success']);
+  assert.equal(result.code, 0, result.output);
+  assert.match(result.output, /ALL TASKS COMPLETED! No unchecked tasks found in \.\/planning\.md/);
+  assert.equal(project.read('planning.md'), '# Plan\n- [x] legacy task\n');
+  assert.equal(project.subjects()[0], 'chore: legacy task');
+});
+
+test('--until-success gives up with exit 1 after too many consecutive failures', (t) => {
+  const project = createProject({ plan: TWO_TASKS, config: { loop: { maxConsecutiveFailures: 2, maxTaskAttempts: 10 } } });
+  t.after(() => project.remove());
+  project.script([failingLoop()]);
+
+  const result = project.run(['--until-success']);
+  assert.equal(result.code, 1);
+  assert.match(result.output, /2 consecutive failures reached/);
+  assert.match(project.log(), /\[TERMINATION\]/);
+  assert.equal(project.subjects()[0], 'Initial commit');
+});
+
+test('--until-success stops with exit 2 at the iteration cap', (t) => {
+  const project = createProject({ plan: TWO_TASKS });
+  t.after(() => project.remove());
+  project.script([completingLoop()]);
+
+  const result = project.run(['--until-success'], { env: { RALPHIO_MAX_ITERATIONS: '1' } });
+  assert.equal(result.code, 2);
+  assert.match(result.output, /Reached maximum 1 iterations/);
+  assert.match(project.read('.agent/planning.md'), /- \[ \] second task/);
+});
+
+test('--until-success stops with exit 3 when the budget is spent', (t) => {
+  const project = createProject({ plan: TWO_TASKS, config: { budget: { maxCostUsd: 0.01 } } });
+  t.after(() => project.remove());
+  project.script([completingLoop()]);
+
+  const result = project.run(['--until-success']);
+  assert.equal(result.code, 3);
+  assert.match(result.output, /Budget reached/);
+  assert.match(project.read('.agent/planning.md'), /- \[ \] second task/);
+});
+
+test('a task that keeps failing is blocked and the run moves on (exit 4)', (t) => {
+  const project = createProject({ plan: TWO_TASKS, config: { loop: { maxTaskAttempts: 2 } } });
+  t.after(() => project.remove());
+  project.script([failingLoop('first'), completingLoop('second')]);
+
+  const result = project.run(['--until-success']);
+  assert.equal(result.code, 4, result.output);
+
+  const plan = project.read('.agent/planning.md');
+  assert.match(plan, /- \[!\] first task \(1 story\)\n {2}- Blocked after 2 attempts: Verification failed/);
+  assert.match(plan, /- \[x\] second task/);
+  assert.match(result.output, /1 blocked tasks/);
+
+  // --retry-blocked puts it back in the queue
+  assert.equal(project.run(['--retry-blocked']).code, 0);
+  assert.match(project.read('.agent/planning.md'), /^- \[ \] first task \(1 story\)\n- \[x\] second task/m);
+  assert.equal(project.git('status', '--porcelain'), '');
+});
+
+test('a task blocked after a single attempt says so in the singular', (t) => {
+  const project = createProject({ plan: TWO_TASKS, config: { loop: { maxTaskAttempts: 1 } } });
+  t.after(() => project.remove());
+  project.script([failingLoop()]);
+
+  const result = project.run(['--once']);
+  assert.equal(result.code, 1, result.output);
+  assert.match(result.output, /Task 1 blocked after 1 failed attempt - moving on/);
+  assert.match(project.read('.agent/planning.md'), /- \[!\] first task \(1 story\)\n {2}- Blocked after 1 attempt: Verification failed/);
+  assert.equal(project.subjects()[0], 'chore: block task 1 after 1 failed attempt');
+
+  assert.equal(project.run(['--retry-blocked']).code, 0);
+  assert.match(project.read('.agent/planning.md'), /^- \[ \] first task \(1 story\)\n- \[ \] second task/m);
+});
+
+test('--retry-blocked drops the notes of blocked subtasks inside a blocked parent', (t) => {
+  const project = createProject({
+    plan: [
+      '# Plan',
+      '- [!] parent task',
+      '  - Blocked after 2 attempts: Verification failed',
+      '  - [!] first child',
+      '    - Blocked after 3 attempts: Verification failed',
+      '  - [!] second child',
+      '    - Blocked after 3 attempts: Verification failed',
+      '- [ ] other task',
+      '  - Blocked after 1 attempt: unblocked by hand, note kept on purpose',
+      ''
+    ].join('\n')
+  });
+  t.after(() => project.remove());
+
+  const result = project.run(['--retry-blocked']);
+  assert.equal(result.code, 0, result.output);
+  assert.equal(project.read('.agent/planning.md'), [
+    '# Plan',
+    '- [ ] parent task',
+    '  - [ ] first child',
+    '  - [ ] second child',
+    '- [ ] other task',
+    '  - Blocked after 1 attempt: unblocked by hand, note kept on purpose',
+    ''
+  ].join('\n'));
+  assert.equal(project.subjects()[0], 'chore: requeue 3 blocked tasks');
+});
+
+test('tasks wait for their dependencies', (t) => {
+  const project = createProject({ plan: '# Plan\n- [ ] client (depends: 2)\n- [ ] schema\n' });
+  t.after(() => project.remove());
+  project.script([completingLoop()]);
+
+  assert.equal(project.run(['--once']).code, 0);
+  assert.match(project.read('.agent/planning.md'), /- \[ \] client \(depends: 2\)\n- \[x\] schema/);
+});
+
+test('a timed-out loop is resumed by the next iteration', (t) => {
+  const project = createProject({ plan: '# Plan\n- [ ] slow task\n' });
+  t.after(() => project.remove());
+  project.script([
+    { times: 1, steps: [{ text: 'starting' }, { sleep: 5000 }, { write: 'late.txt', content: 'too late\n' }] },
+    completingLoop()
+  ]);
+
+  const result = project.run(['--until-success'], { env: { LOOP_TIMEOUT_MS: '300' } });
+  assert.equal(result.code, 0, result.output);
+  assert.match(result.output, /Next iteration resumes session scripted-\d+-1/);
+  const [, resumed] = project.artifacts();
+  assert.match(resumed.resumedFrom, /^scripted-\d+-1$/);
+  assert.equal(resumed.outcome, 'success');
+  assert.ok(!project.exists('late.txt'), 'the timed-out session was stopped, not left running');
+});
+
+test('a resumed session finishes the task it was working on, even if the plan changed', (t) => {
+  const project = createProject({ plan: '# Plan\n- [ ] slow task\n' });
+  t.after(() => project.remove());
+  project.script([{ steps: [{ sleep: 5000 }] }]);
+
+  assert.equal(project.run(['--once'], { env: { LOOP_TIMEOUT_MS: '300' } }).code, 1);
+  project.script([completingLoop('slow task')]);
+  project.write('.agent/planning.md', '# Plan\n- [ ] urgent fix\n- [ ] slow task\n');
+  project.git('commit', '-qam', 'urgent fix first');
+
+  const result = project.run(['--resume']);
+  assert.equal(result.code, 0, result.output);
+  assert.match(result.output, /RUN SUMMARY: 1 iterations \(1 succeeded, 0 failed\)/);
+  assert.equal(project.subjects()[0], 'chore: slow task');
+  assert.match(project.read('.agent/planning.md'), /- \[ \] urgent fix\n- \[x\] slow task/);
+  assert.deepEqual(project.artifacts().pop().task, { id: '2', text: 'slow task', section: 'Plan' });
+});
+
+test('a task can set its own timeout', (t) => {
+  const project = createProject({ plan: '# Plan\n- [ ] slow task (timeout: 300ms)\n' });
+  t.after(() => project.remove());
+  project.script([{ steps: [{ sleep: 5000 }] }]);
+
+  const result = project.run(['--once']);
+  assert.equal(result.code, 1);
+  assert.match(result.output, /timed out after 300ms/);
+  assert.equal(project.artifacts()[0].timeoutMs, 300);
+});
+
+test('the watchdog aborts a loop that goes quiet', (t) => {
+  const project = createProject({ plan: TWO_TASKS, config: { loop: { idleTimeoutMs: 300 } } });
+  t.after(() => project.remove());
+  project.script([{ steps: [{ text: 'thinking' }, { sleep: 5000 }] }]);
+
+  const started = Date.now();
+  const result = project.run(['--once']);
+  assert.equal(result.code, 1);
+  assert.match(result.output, /aborted a stuck loop - no agent messages for 300ms/);
+  assert.ok(Date.now() - started < 5000, 'did not wait for the session to finish');
+  assert.match(project.readJson('.agent/state.json').lastFailure.reason, /^Stalled: /);
+});
+
+test('the watchdog aborts a loop that repeats the same tool call', (t) => {
+  const project = createProject({ plan: TWO_TASKS, config: { loop: { maxRepeatedToolCalls: 3 } } });
+  t.after(() => project.remove());
+  const read = { tool: 'Read', input: { file_path: 'src/app.js' }, result: 'same content' };
+  project.script([{ steps: [read, read, { tool: 'Bash', input: { command: 'ls' } }, read, read, read, { checkTask: true }] }]);
+
+  const result = project.run(['--once']);
+  assert.equal(result.code, 1);
+  assert.match(result.output, /Read called 3 times in a row with the same input/);
+  assert.match(project.read('.agent/planning.md'), /- \[ \] first task/);
+});
+
+test('session markers in memory.md move to the state file', (t) => {
+  const project = createProject({ plan: TWO_TASKS });
+  t.after(() => project.remove());
+  project.write('.agent/memory.md', '# MEMORY\n\n- Use pnpm\n\n<!-- Last session: old-session -->\n');
+  project.git('commit', '-qam', 'memory');
+  project.script([completingLoop()]);
+
+  assert.equal(project.run(['--once']).code, 0);
+  assert.doesNotMatch(project.read('.agent/memory.md'), /Last session/);
+  assert.match(project.read('.agent/memory.md'), /- Use pnpm/);
+});
+
+test('the command runner skips JSON lines that are not messages', (t) => {
+  const project = createProject({ plan: TWO_TASKS, config: { agent: { command: process.execPath, args: ['../agent.js'] } } });
+  t.after(() => project.remove());
+  const lines = [
+    { type: 'system', subtype: 'init', session_id: 'cli-1' },
+    null,
+    [1, 2],
+    { type: 'assistant' },
+    { type: 'assistant', message: { content: null } },
+    { type: 'user', message: {} },
+    { type: 'assistant', message: { content: [null, { type: 'text', text: 'Done' }] } },
+    { type: 'result', subtype: 'success', result: 'Done', num_turns: 1, total_cost_usd: 0, usage: {} }
+  ];
+  fs.writeFileSync(`${project.root}/agent.js`, `
+const fs = require('fs');
+const plan = '.agent/planning.md';
+fs.writeFileSync(plan, fs.readFileSync(plan, 'utf8').replace('- [ ] first task', '- [x] first task'));
+for (const line of ${JSON.stringify(lines)}) console.log(JSON.stringify(line));
+`);
+
+  const result = project.run(['--once'], { env: { RALPHIO_RUNNER: 'command' } });
+  assert.equal(result.code, 0, result.output);
+  assert.equal(project.subjects()[0], 'chore: first task');
+  assert.deepEqual(project.artifacts()[0].events.map(event => event.type), ['text']);
+});
+
+test('--output json reports the run as NDJSON on stdout', (t) => {
+  const project = createProject({ plan: TWO_TASKS });
+  t.after(() => project.remove());
+  project.script([completingLoop()]);
+
+  const result = project.run(['--until-success', '--output', 'json']);
+  assert.equal(result.code, 0, result.output);
+  assert.match(result.stderr, /ALL TASKS COMPLETED/);
+
+  const events = result.stdout.trim().split('\n').map(line => JSON.parse(line));
+  assert.ok(events.every(event => event.type && !isNaN(Date.parse(event.at))));
+  assert.equal(events[0].type, 'run_start');
+  assert.equal(events[0].mode, 'until-success');
+
+  const first = events.filter(event => event.iteration === 1).map(event => event.type);
+  assert.deepEqual(first, ['loop_start', 'text', 'tool_use', 'tool_result', 'commit', 'iteration_result']);
+  const loopStart = events.find(event => event.type === 'loop_start');
+  assert.deepEqual(loopStart.task, { id: '1', text: 'first task (1 story)', section: 'Backend' });
+  assert.equal(events.find(event => event.type === 'tool_use').name, 'Bash');
+  assert.equal(events.find(event => event.type === 'commit').subject, 'chore: first task');
+
+  const [result1, result2] = events.filter(event => event.type === 'iteration_result');
+  assert.equal(result1.outcome, 'success');
+  assert.deepEqual(result1.verification, { passed: true, reason: null });
+  assert.equal(result1.usage.inputTokens, 100);
+  assert.equal(result2.task.id, '2');
+
+  const end = events[events.length - 1];
+  assert.deepEqual([end.type, end.exitCode, end.outcome], ['run_end', 0, 'complete']);
+  assert.equal(end.usage.succeeded, 2);
+});
+
+test('run_end names the exit code', (t) => {
+  const project = createProject({ plan: TWO_TASKS, config: { budget: { maxCostUsd: 0.01 } } });
+  t.after(() => project.remove());
+  project.script([completingLoop()]);
+
+  const result = project.run(['--until-success', '--output', 'json']);
+  assert.equal(result.code, 3);
+  const end = JSON.parse(result.stdout.trim().split('\n').pop());
+  assert.deepEqual([end.exitCode, end.outcome], [3, 'budget']);
+  assert.match(end.reason, /reached the \$0.01 budget/);
+
+  assert.equal(project.run(['--once', '--output', 'xml']).code, 1);
+});
@@ -0,0 +1,132 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const { createProject, completingLoop } = require('./helpers');
+
+const MEMORY = [
+  '# MEMORY',
+  '',
+  '## Stack Discovery',
+  '- **Stack**: Node 20, Express',
+  '',
+  '## Learnings',
+  '- [gotcha] Jest: fake timers break supertest - use real timers (task 5, 2026-01-10)',
+  '- [config] Prisma: run db push after editing the schema (task 2, 2026-02-01)',
+  '- Old note about CSS modules',
+  '- [config] Prisma: run db push after editing the schema! (task 4, 2026-03-01)',
+  '- [breaking] Express 5: req.query is read-only - copy it first (task 3, 2026-02-15)',
+  ''
+].join('\n');
+
+function withMemory(options) {
+  const project = createProject(options);
+  project.write('.agent/memory.md', MEMORY);
+  project.git('commit', '-qam', 'memory');
+  return project;
+}
+
+test('the prompt gets pinned sections and deduplicated learnings, most relevant first', (t) => {
+  const project = withMemory({ plan: '# Plan\n\n## Database\n- [ ] Add a Prisma migration for orders\n' });
+  t.after(() => project.remove());
+  project.script([completingLoop(null, [{ savePrompt: '../prompt.txt' }])]);
+
+  assert.equal(project.run(['--once']).code, 0);
+  const prompt = fs.readFileSync(`${project.root}/prompt.txt`, 'utf8');
+  const memory = prompt.match(/=== MEMORY FROM \.\/\.agent\/memory\.md \((\d+) of (\d+) learnings\) ===\n([\s\S]*?)\n=== END OF MEMORY ===/);
+  assert.ok(memory, 'prompt has a MEMORY block');
+  assert.deepEqual([memory[1], memory[2]], ['4', '4']);
+
+  const lines = memory[3].split('\n');
+  assert.ok(lines.includes('- **Stack**: Node 20, Express'));
+  const learnings = lines.slice(lines.indexOf('## Learnings (most relevant to this task first)') + 1);
+  assert.deepEqual(learnings, [
+    '- [config] Prisma: run db push after editing the schema! (task 4, 2026-03-01)',
+    '- [breaking] Express 5: req.query is read-only - copy it first (task 3, 2026-02-15)',
+    '- [gotcha] Jest: fake timers break supertest - use real timers (task 5, 2026-01-10)',
+    '- Old note about CSS modules'
+  ]);
+});
+
+test('learnings that do not fit memory.maxPromptChars are left out of the prompt', (t) => {
+  const project = withMemory({ plan: '# Plan\n- [ ] Fix the Jest supertest suite\n' });
+  t.after(() => project.remove());
+  project.script([completingLoop(null, [{ savePrompt: '../prompt.txt' }])]);
+
+  assert.equal(project.run(['--once'], { env: { RALPHIO_MEMORY_MAX_CHARS: '100' } }).code, 0);
+  const prompt = fs.readFileSync(`${project.root}/prompt.txt`, 'utf8');
+  assert.match(prompt, /\(1 of 4 learnings\)/);
+  assert.match(prompt, /- \[gotcha\] Jest: fake timers/);
+  assert.doesNotMatch(prompt, /Express 5/);
+  assert.match(prompt, /3 less relevant learnings left out - they are in \.\/\.agent\/memory\.md/);
+});
+
+test('learnings added during a loop are tagged with the task and date', (t) => {
+  const project = withMemory({ plan: '# Plan\n- [ ] first\n- [ ] Second task\n' });
+  t.after(() => project.remove());
+  project.write('.agent/planning.md', '# Plan\n- [x] first\n- [ ] Second task\n');
+  project.git('commit', '-qam', 'plan');
+  project.script([completingLoop(null, [{ run: 'echo "- [error] Vite: stale cache after rename - delete node_modules/.vite" >> .agent/memory.md' }])]);
+
+  assert.equal(project.run(['--once']).code, 0);
+  const today = new Date().toISOString().split('T')[0];
+  const memory = project.read('.agent/memory.md');
+  assert.match(memory, new RegExp(`^- \\[error\\] Vite: stale cache after rename - delete node_modules/\\.vite \\(task 2, ${today}\\)$`, 'm'));
+  assert.match(memory, /^- Old note about CSS modules$/m, 'existing learnings are not stamped');
+  assert.equal(project.git('status', '--porcelain'), '');
+});
+
+test('memory compact drops duplicates and stale learnings and commits the result', (t) => {
+  const project = withMemory({ config: { memory: { staleAfterDays: 1000 } } });
+  t.after(() => project.remove());
+  const old = '2020-01-01';
+  project.write('.agent/memory.md', MEMORY.replace('(task 5, 2026-01-10)', `(task 5, ${old})`));
+  project.git('commit', '-qam', 'old memory');
+
+  const dryRun = project.run(['memory', 'compact', '--dry-run']);
+  assert.equal(dryRun.code, 0, dryRun.output);
+  assert.match(dryRun.output, /duplicate: Prisma: run db push after editing the schema/);
+  assert.match(dryRun.output, /stale: Jest: fake timers/);
+  assert.match(project.read('.agent/memory.md'), /Jest/);
+
+  const result = project.run(['memory', 'compact']);
+  assert.equal(result.code, 0, result.output);
+  assert.equal(project.read('.agent/memory.md'), [
+    '# MEMORY',
+    '',
+    '## Stack Discovery',
+    '- **Stack**: Node 20, Express',
+    '',
+    '## Learnings',
+    '- Old note about CSS modules',
+    '- [config] Prisma: run db push after editing the schema! (task 4, 2026-03-01)',
+    '- [breaking] Express 5: req.query is read-only - copy it first (task 3, 2026-02-15)',
+    ''
+  ].join('\n'));
+  assert.equal(project.subjects()[0], 'chore: compact memory (5 -> 3 learnings)');
+
+  assert.match(project.run(['memory', 'compact']).output, /Nothing to compact/);
+});
+
+test('memory compact --summarize merges each section under its own heading', (t) => {
+  const project = withMemory();
+  t.after(() => project.remove());
+  project.write('.agent/memory.md', MEMORY + [
+    '## Frontend',
+    '- [gotcha] Vite: env vars need the VITE_ prefix (task 6, 2026-03-02)',
+    '- [gotcha] Vite: only VITE_ env vars reach the client (task 7, 2026-03-03)',
+    ''
+  ].join('\n'));
+  project.git('commit', '-qam', 'frontend memory');
+  project.script([
+    { result: '- [config] Prisma: run db push after schema edits (task 4, 2026-03-01)\n- [breaking] Express 5: req.query is read-only (task 3, 2026-02-15)', times: 1 },
+    { result: '- [gotcha] Vite: only VITE_ env vars reach the client (task 7, 2026-03-03)', times: 1 }
+  ]);
+
+  const result = project.run(['memory', 'compact', '--summarize']);
+  assert.equal(result.code, 0, result.output);
+  assert.match(result.output, /merge 4 learnings in "Learnings"[\s\S]*merge 2 learnings in "Frontend"/);
+  const memory = project.read('.agent/memory.md');
+  assert.match(memory, /## Stack Discovery\n- \*\*Stack\*\*: Node 20, Express\n\n## Learnings\n- \[config\] Prisma: run db push after schema edits \(task 4, 2026-03-01\)\n- \[breaking\] Express 5: req.query is read-only \(task 3, 2026-02-15\)\n## Frontend\n- \[gotcha\] Vite: only VITE_ env vars reach the client \(task 7, 2026-03-03\)\n$/);
+  assert.equal(project.subjects()[0], 'chore: compact memory (7 -> 3 learnings)');
+});
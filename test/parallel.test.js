@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { createProject, completingLoop } = require('./helpers');
+
+const PLAN = '# Plan\n- [ ] first task\n- [ ] second task\n';
+
+// Worktrees go under TMPDIR - a private one shows whether they were cleaned up
+function withTmpDir(project) {
+  const tmp = path.join(project.root, 'tmp');
+  fs.mkdirSync(tmp);
+  return { tmp, env: { TMPDIR: tmp } };
+}
+
+function branches(project) {
+  return project.git('branch', '--format=%(refname:short)').split('\n');
+}
+
+test('--parallel runs tasks in their own worktrees and merges their plan and memory changes', (t) => {
+  const project = createProject({ plan: PLAN });
+  t.after(() => project.remove());
+  const { tmp, env } = withTmpDir(project);
+  const memory = project.read('.agent/memory.md').replace(/\s*$/, '\n');
+  const learning = (text) => ({ write: '.agent/memory.md', content: `${memory}- [gotcha] ${text}\n` });
+  project.script([
+    completingLoop('first task', [learning('First: the first learning')]),
+    completingLoop('second task', [learning('Second: the second learning')])
+  ]);
+
+  const result = project.run(['--until-success', '--parallel', '2'], { env });
+  assert.equal(result.code, 0, result.output);
+  assert.match(result.output, /Task 1 started on ralphio\/1-first-task/);
+  assert.match(result.output, /Task 2 started on ralphio\/2-second-task/);
+  assert.match(result.output, /^\[1\] .*Working on the task/m, 'worker output is prefixed with its task id');
+  assert.match(result.output, /^\[2\] .*Working on the task/m);
+
+  assert.match(project.read('.agent/planning.md'), /- \[x\] first task\n- \[x\] second task\n/);
+  assert.match(project.read('.agent/memory.md'), /- \[gotcha\] First: the first learning/);
+  assert.match(project.read('.agent/memory.md'), /- \[gotcha\] Second: the second learning/);
+  assert.equal(project.read('work/first-task.txt'), 'done\n');
+  assert.equal(project.read('work/second-task.txt'), 'done\n');
+  assert.deepEqual(project.subjects().filter(subject => subject.startsWith('Merge ')).sort(), ['Merge ralphio/1-first-task', 'Merge ralphio/2-second-task']);
+  assert.equal(project.git('status', '--porcelain'), '');
+
+  assert.deepEqual(branches(project), ['main']);
+  assert.equal(project.git('worktree', 'list').split('\n').length, 1);
+  assert.deepEqual(fs.readdirSync(tmp), [], 'the worktrees are gone');
+});
+
+test('--parallel keeps a worker branch that conflicts with an earlier merge', (t) => {
+  const project = createProject({ plan: PLAN });
+  t.after(() => project.remove());
+  const { env } = withTmpDir(project);
+  project.script([
+    completingLoop('first task', [{ write: 'work/shared.txt', content: 'from the first task\n' }]),
+    completingLoop('second task', [{ write: 'work/shared.txt', content: 'from the second task\n' }, { sleep: 1500 }])
+  ]);
+
+  const result = project.run(['--until-success', '--parallel', '2'], { env: { ...env, RALPHIO_MAX_ITERATIONS: '2' } });
+  assert.equal(result.code, 2, result.output);
+  assert.match(result.output, /Task 1 completed: first task/);
+  assert.match(result.output, /Task 2 failed: Merge conflict in work\/shared\.txt - branch ralphio\/2-second-task is kept until the task is retried/);
+
+  assert.equal(project.read('work/shared.txt'), 'from the first task\n');
+  assert.match(project.read('.agent/planning.md'), /- \[x\] first task\n- \[ \] second task\n/);
+  assert.equal(project.readJson('.agent/state.json').taskAttempts['second task'].attempts, 1);
+  assert.deepEqual(branches(project), ['main', 'ralphio/2-second-task']);
+  assert.equal(project.git('show', 'ralphio/2-second-task:work/shared.txt'), 'from the second task');
+  assert.equal(project.git('status', '--porcelain'), '');
+});
+
+test('Ctrl-C stops --parallel workers and puts their tasks back in the queue', async (t) => {
+  const project = createProject({ plan: PLAN });
+  t.after(() => project.remove());
+  const { tmp, env } = withTmpDir(project);
+  project.script([{ steps: [{ write: 'work/partial.txt', content: 'half done\n' }, { text: 'working on it' }, { sleep: 30000 }] }]);
+
+  const run = project.start(['--until-success', '--parallel', '2'], { env });
+  await run.waitFor(/\[1\] .*working on it[\s\S]*\[2\] .*working on it|\[2\] .*working on it[\s\S]*\[1\] .*working on it/);
+  run.child.kill('SIGINT');
+  const { code, output } = await run.exited;
+  assert.equal(code, 130, output);
+  assert.match(output, /Task 1 interrupted: first task/);
+  assert.match(output, /Task 2 interrupted: second task/);
+  assert.match(output, /RUN INTERRUPTED at iteration 1/);
+
+  const state = project.readJson('.agent/state.json');
+  assert.equal(state.checkpoint.stoppedBy, 'SIGINT');
+  assert.ok(!(state.taskAttempts || {})['first task'], 'an interrupted worker is not an attempt');
+  assert.equal(project.read('.agent/planning.md'), PLAN);
+  assert.ok(!project.exists('work/partial.txt'));
+  assert.deepEqual(branches(project), ['main']);
+  assert.equal(project.git('worktree', 'list').split('\n').length, 1);
+  assert.deepEqual(fs.readdirSync(tmp), []);
+});
@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createProject, completingLoop, failingLoop } = require('./helpers');
+
+function status(project) {
+  const result = project.run(['status', '--json']);
+  assert.equal(result.code, 0, result.output);
+  return JSON.parse(result.stdout);
+}
+
+test('status counts tasks and story points, ignoring tasks inside code blocks', (t) => {
+  const project = createProject({
+    plan: [
+      '# Plan',
+      '',
+      '## Setup',
+      '- [x] Scaffold (2 stories)',
+      '- [ ] Configure CI (1 story)',
+      '',
+      '## API',
+      '- [x] Endpoints (broken down)',
+      '  - [x] GET /items (3 stories)',
+      '  - [ ] POST /items (5 stories)',
+      '',
+      'Example format:',
+      '```markdown',
+      '- [ ] not a real task',
+      '```',
+      ''
+    ].join('\n')
+  });
+  t.after(() => project.remove());
+
+  const report = status(project);
+  assert.deepEqual(report.tasks, { total: 5, done: 2, remaining: 2, brokenDown: 1, blocked: 0 });
+  assert.deepEqual(report.points, { done: 5, remaining: 6 });
+  assert.deepEqual(report.sections.map(section => section.title), ['Setup', 'API']);
+  assert.deepEqual(report.nextTask, { id: '2', title: 'Configure CI', text: 'Configure CI (1 story)', section: 'Setup', points: 1 });
+});
+
+test('the next task honours priority and dependencies', (t) => {
+  const project = createProject({
+    plan: [
+      '# Plan',
+      '- [ ] Docs [P3]',
+      '- [ ] Client [P0] (depends: 3)',
+      '- [ ] Schema [P1]',
+      '- [ ] Deploy (depends: 9)',
+      ''
+    ].join('\n')
+  });
+  t.after(() => project.remove());
+
+  const report = status(project);
+  assert.equal(report.nextTask.id, '3');
+  assert.deepEqual(report.waiting, [
+    { id: '2', text: 'Client [P0] (depends: 3)', waitingOn: ['3'] },
+    { id: '4', text: 'Deploy (depends: 9)', waitingOn: ['9'] }
+  ]);
+});
+
+test('subtasks of a broken-down parent keep the run going until they are done', (t) => {
+  const project = createProject({ plan: '# Plan\n- [x] Parent (broken down)\n  - [x] Child one\n  - [ ] Child two\n' });
+  t.after(() => project.remove());
+  project.script([completingLoop()]);
+
+  assert.equal(status(project).nextTask.id, '1.2');
+
+  const result = project.run(['--until-success']);
+  assert.equal(result.code, 0, result.output);
+  assert.match(project.read('.agent/planning.md'), /- \[x\] Child two/);
+  assert.equal(status(project).nextTask, null);
+});
+
+test('status reports blocked tasks with their attempts and recent iterations', (t) => {
+  const project = createProject({ plan: '# Plan\n- [ ] Flaky\n', config: { loop: { maxTaskAttempts: 1 } } });
+  t.after(() => project.remove());
+  project.script([failingLoop()]);
+
+  assert.equal(project.run(['--until-success']).code, 4);
+
+  const result = project.run(['status', '--json', '--last', '5']);
+  const report = JSON.parse(result.stdout);
+  assert.equal(report.tasks.blocked, 1);
+  assert.equal(report.blocked[0].id, '1');
+  assert.equal(report.blocked[0].attempts.attempts, 1);
+  assert.equal(report.iterations.length, 1);
+  assert.equal(report.iterations[0].outcome, 'failure');
+  assert.deepEqual(report.iterations[0].task, { id: '1', text: 'Flaky' });
+});
+
+test('--expand inserts the subtasks under their task, with their dependencies', (t) => {
+  const project = createProject({ plan: '# Plan\n- [x] Set up the project\n- [ ] Build the calendar (5 stories)\n- [ ] Ship it\n' });
+  t.after(() => project.remove());
+  project.script([{
+    result: `Here you go:\n${JSON.stringify([
+      { id: 1, title: 'Install calendar dependencies', dependencies: [], storyPoints: 1 },
+      { id: 2, title: 'Create the calendar component', description: 'A month view', dependencies: ['2.1', '1'], storyPoints: 2 },
+      { id: 3, title: 'Wire it up', dependencies: ['2.2', 3, '2.9', '7'], testStrategy: 'Open the page' }
+    ])}`
+  }]);
+
+  const result = project.run(['--expand', '2']);
+  assert.equal(result.code, 0, result.output);
+  assert.equal(project.read('.agent/planning.md'), [
+    '# Plan',
+    '- [x] Set up the project',
+    '- [x] Build the calendar (5 stories) (broken down)',
+    '  - [ ] Install calendar dependencies (1 story)',
+    '  - [ ] Create the calendar component (2 stories) (depends: 2.1)',
+    '    - A month view',
+    '  - [ ] Wire it up (1 story) (depends: 2.2)',
+    '    - Test strategy: Open the page',
+    '- [ ] Ship it',
+    ''
+  ].join('\n'));
+  assert.equal(status(project).nextTask.id, '2.1');
+});
@@ -0,0 +1,176 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const { createProject } = require('./helpers');
+
+test('--parse-prd appends the generated tasks under a dated heading', (t) => {
+  const project = createProject({ plan: '# Plan\n- [x] Existing task\n' });
+  t.after(() => project.remove());
+  project.write('PRD.md', '# Todo app\nUsers can add and remove todos.\n');
+  project.script([{ result: '- [ ] Add todo (2 stories)\n- [ ] Remove todo (1 story)' }]);
+
+  const result = project.run(['--parse-prd', 'PRD.md']);
+  assert.equal(result.code, 0, result.output);
+
+  const today = new Date().toISOString().split('T')[0];
+  assert.equal(
+    project.read('.agent/planning.md'),
+    `# Plan\n- [x] Existing task\n\n## Tasks from PRD (${today})\n- [ ] Add todo (2 stories) (prd: Todo app)\n- [ ] Remove todo (1 story) (prd: Todo app)\n`
+  );
+});
+
+test('--parse-prd keeps only valid new tasks and orders them by their dependencies', (t) => {
+  const project = createProject({ plan: '# Plan\n- [x] Set up the database (1 story)\n- [ ] Write the README (1 story)\n' });
+  t.after(() => project.remove());
+  project.write('PRD.md', '# Shop\n\n## Cart\nUsers keep items in a cart.\n\n## Checkout\nUsers pay for the cart.\n');
+  project.script([{
+    steps: [{ savePrompt: '../prompt.txt' }],
+    result: [
+      'Here are the tasks:',
+      '```markdown',
+      '## Cart',
+      '- [ ] Show the cart page (1 story) (depends: 5) # TDD candidate',
+      '- [ ] Set up database (1 story)',
+      '- [ ] Store cart items (2 stories) (depends: 4)',
+      '  - [ ] Add a cart table (1 story)',
+      '- [ ] Build the whole shop (5 stories)',
+      '## Checkout',
+      '- [ ] Take card payments',
+      '- [x] Pick a payment provider (1 story)',
+      '- [ ] Charge the cart total (2 stories) (depends: 7, 3)',
+      '```'
+    ].join('\n')
+  }]);
+
+  const result = project.run(['--parse-prd', 'PRD.md']);
+  assert.equal(result.code, 0, result.output);
+  assert.match(fs.readFileSync(`${project.root}/prompt.txt`, 'utf8'), /your tasks are numbered from 3 in the order you output them/);
+  assert.match(result.output, /Ignored 1 lines of the answer that are not tasks \(first: "Here are the tasks:"\)/);
+  assert.match(result.output, /Rejected "Add a cart table \(1 story\)": nested under another task/);
+  assert.match(result.output, /Rejected "Build the whole shop \(5 stories\)": 5 stories - tasks must be 2 or less/);
+  assert.match(result.output, /Rejected "Take card payments": no story points/);
+  assert.match(result.output, /Rejected "Pick a payment provider \(1 story\)": not an open "- \[ \]" task/);
+  assert.match(result.output, /Skipped "Set up database \(1 story\)": repeats task 1 "Set up the database \(1 story\)"/);
+  assert.match(result.output, /Moved "Show the cart page" below "Store cart items", which it depends on/);
+  assert.match(result.output, /"Charge the cart total" depends on 7, which is neither in the plan nor imported - dependency dropped/);
+
+  const today = new Date().toISOString().split('T')[0];
+  assert.equal(project.read('.agent/planning.md'), [
+    '# Plan',
+    '- [x] Set up the database (1 story)',
+    '- [ ] Write the README (1 story)',
+    '',
+    `## Tasks from PRD (${today})`,
+    '- [ ] Store cart items (2 stories) (depends: 1) (prd: Cart)',
+    '- [ ] Show the cart page (1 story) (depends: 3) (prd: Cart) # TDD candidate',
+    '- [ ] Charge the cart total (2 stories) (depends: 4) (prd: Checkout)',
+    ''
+  ].join('\n'));
+});
+
+test('--parse-prd --dry-run previews a diff, and a re-parse only adds tasks for changed sections', (t) => {
+  const plan = '# Plan\n- [ ] Existing task (1 story)\n';
+  const project = createProject({ plan });
+  t.after(() => project.remove());
+  project.write('PRD.md', '# Notes\n\n## Notes\nUsers write notes.\n\n## Sharing\nNotes can be shared.\n');
+  const answer = '## Notes\n- [ ] Add the note editor (2 stories)\n## Sharing\n- [ ] Add share links (1 story) (depends: 2)\n';
+  project.script([{ result: answer, times: 2 }]);
+
+  const preview = project.run(['--parse-prd', 'PRD.md', '--dry-run']);
+  assert.equal(preview.code, 0, preview.output);
+  const today = new Date().toISOString().split('T')[0];
+  assert.ok(preview.output.includes([
+    '--- a/.agent/planning.md',
+    '+++ b/.agent/planning.md',
+    '@@ -1,2 +1,6 @@',
+    ' # Plan',
+    ' - [ ] Existing task (1 story)',
+    '+',
+    `+## Tasks from PRD (${today})`,
+    '+- [ ] Add the note editor (2 stories) (prd: Notes)',
+    '+- [ ] Add share links (1 story) (depends: 2) (prd: Sharing)'
+  ].join('\n')), preview.output);
+  assert.match(preview.output, /Dry run - \.\/\.agent\/planning\.md not changed \(2 tasks would be added\)/);
+  assert.equal(project.read('.agent/planning.md'), plan);
+
+  assert.equal(project.run(['--parse-prd', 'PRD.md']).code, 0);
+  assert.deepEqual(Object.keys(project.readJson('.agent/state.json').prdImports['PRD.md']), ['Notes', 'Sharing']);
+
+  const unchanged = project.run(['--parse-prd', 'PRD.md']);
+  assert.equal(unchanged.code, 0, unchanged.output);
+  assert.match(unchanged.output, /No new or changed sections in PRD\.md since the last import/);
+
+  project.write('PRD.md', '# Notes\n\n## Notes\nUsers write notes.\n\n## Sharing\nNotes can be shared, and links expire.\n\n## Search\nUsers search notes.\n');
+  project.script([{
+    steps: [{ savePrompt: '../prompt.txt' }],
+    result: '## Sharing\n- [ ] Add share links (1 story)\n- [ ] Expire share links after a week (1 story) (depends: 4)\n## Search\n- [ ] Add note search (2 stories)\n'
+  }]);
+  const delta = project.run(['--parse-prd', 'PRD.md']);
+  assert.equal(delta.code, 0, delta.output);
+  assert.match(delta.output, /Parsing 2 new or changed sections \(1 unchanged since the last import\): Sharing, Search/);
+
+  const prompt = fs.readFileSync(`${project.root}/prompt.txt`, 'utf8');
+  assert.match(prompt, /PRD Content:\n## Sharing\nNotes can be shared, and links expire\.\n\n## Search\nUsers search notes\.\n/);
+  assert.match(prompt, /These sections changed since their tasks were imported: Sharing\./);
+  assert.ok(!prompt.includes('Users write notes'), 'unchanged sections are left out');
+
+  const tasks = project.read('.agent/planning.md').split('\n').filter(line => line.startsWith('- [ ]'));
+  assert.deepEqual(tasks.slice(3), [
+    '- [ ] Expire share links after a week (1 story) (depends: 3) (prd: Sharing)',
+    '- [ ] Add note search (2 stories) (prd: Search)'
+  ]);
+});
+
+test('--parse-prd fails without touching the plan when the answer has no usable task', (t) => {
+  const project = createProject({ plan: '# Plan\n- [ ] Existing task\n' });
+  t.after(() => project.remove());
+  project.write('PRD.md', '# Anything\nSomething big.\n');
+  project.script([{ result: 'I would suggest:\n- [ ] Build it all (8 stories)' }]);
+
+  const result = project.run(['--parse-prd', 'PRD.md']);
+  assert.equal(result.code, 1);
+  assert.match(result.output, /No usable tasks in the answer/);
+  assert.equal(project.read('.agent/planning.md'), '# Plan\n- [ ] Existing task\n');
+  assert.ok(!project.exists('.agent/state.json') || !project.readJson('.agent/state.json').prdImports);
+});
+
+test('--parse-prd parses a section again when all of its tasks were rejected', (t) => {
+  const project = createProject({ plan: '# Plan\n- [x] Set up the project\n' });
+  t.after(() => project.remove());
+  project.write('PRD.md', '# Notes\n\n## Editing\nUsers edit notes.\n\n## Sync\nNotes sync across devices.\n');
+  project.script([{ result: '## Editing\n- [ ] Add a note editor (2 stories)\n## Sync\n- [ ] Build sync (8 stories)\n', times: 1 }]);
+
+  const first = project.run(['--parse-prd', 'PRD.md']);
+  assert.equal(first.code, 0, first.output);
+  assert.match(first.output, /No task from section "Sync" was imported - it is parsed again next time/);
+  assert.deepEqual(Object.keys(project.readJson('.agent/state.json').prdImports['PRD.md']), ['Editing']);
+
+  project.script([{ steps: [{ savePrompt: '../prompt.txt' }], result: '## Sync\n- [ ] Push notes to the server (2 stories)\n- [ ] Pull notes from the server (1 story)\n' }]);
+  const second = project.run(['--parse-prd', 'PRD.md']);
+  assert.equal(second.code, 0, second.output);
+  assert.match(fs.readFileSync(`${project.root}/prompt.txt`, 'utf8'), /PRD Content:\n## Sync\nNotes sync across devices\.\n/);
+  assert.deepEqual(Object.keys(project.readJson('.agent/state.json').prdImports['PRD.md']), ['Editing', 'Sync']);
+  assert.match(project.read('.agent/planning.md'), /- \[ \] Pull notes from the server \(1 story\) \(prd: Sync\)\n$/);
+});
+
+test('--parse-prd fails without touching the plan when the PRD is missing', (t) => {
+  const project = createProject({ plan: '# Plan\n- [ ] Existing task\n' });
+  t.after(() => project.remove());
+
+  const result = project.run(['--parse-prd', 'missing.md']);
+  assert.equal(result.code, 1);
+  assert.match(result.output, /PRD file not found: missing\.md/);
+  assert.equal(project.read('.agent/planning.md'), '# Plan\n- [ ] Existing task\n');
+});
+
+test('--parse-prd fails when the agent session errors', (t) => {
+  const project = createProject({ plan: '# Plan\n- [ ] Existing task\n' });
+  t.after(() => project.remove());
+  project.write('PRD.md', '# Anything\nSomething.\n');
+  project.script([{ steps: [{ error: 'overloaded' }] }]);
+
+  const result = project.run(['--parse-prd', 'PRD.md']);
+  assert.equal(result.code, 1);
+  assert.equal(project.read('.agent/planning.md'), '# Plan\n- [ ] Existing task\n');
+});
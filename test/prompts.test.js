@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const { createProject, completingLoop, failingLoop } = require('./helpers');
+
+const PLAN = '# Plan\n\n## Backend\n- [ ] first task (1 story)\n- [ ] second task\n';
+
+function withPrompts(files, options = { plan: PLAN }) {
+  const project = createProject(options);
+  for (const [file, content] of Object.entries(files)) project.write(file, content);
+  project.git('add', '-A');
+  project.git('commit', '-qm', 'prompts');
+  return project;
+}
+
+test('the loop prompt fills in the project folder, the task and the last failure', (t) => {
+  const project = withPrompts({
+    '.agent/prompt.md': 'Old style: {projectFolder}/.agent/planning.md\nNew style: {{projectFolder}}\nVue: {{ message }}\nCommit: "feat: {task}"\n',
+    'package.json': JSON.stringify({ scripts: { build: 'tsc' } })
+  });
+  t.after(() => project.remove());
+  project.script([{ ...failingLoop(), times: 1 }, completingLoop(null, [{ savePrompt: '../prompt.txt' }])]);
+
+  const result = project.run(['--until-success'], { env: { RALPHIO_MAX_ITERATIONS: '2' } });
+  assert.equal(result.code, 2, result.output);
+  const prompt = fs.readFileSync(`${project.root}/prompt.txt`, 'utf8');
+  const cwd = fs.realpathSync(project.dir);
+
+  assert.match(prompt, /=== CURRENT STATE OF \.\/\.agent\/prompt\.md \(you don't have to re-read with edit tool\) ===\n/);
+  assert.ok(prompt.includes(`Old style: ${cwd}/.agent/planning.md\nNew style: ${cwd}\nVue: {{ message }}\nCommit: "feat: {task}"\n`), prompt);
+  assert.match(prompt, /=== PREVIOUS LOOP FAILED: Verification failed: task "first task \(1 story\)" is still unchecked in \.\/\.agent\/planning\.md ===\n\(no output captured\)\n=== END OF PREVIOUS LOOP FAILURE ===/);
+  assert.match(prompt, /=== YOUR TASK FOR THIS LOOP ===\n- \[ \] first task \(1 story\)\n\(task 1 in section "Backend", line 4 of \.\/\.agent\/planning\.md\)\n/);
+  assert.match(prompt, /implement task, run npm run build to verify/);
+});
+
+test('the shipped system prompt points the agent at the configured plan and memory files', (t) => {
+  const project = withPrompts({ 'docs/plan.md': PLAN, 'docs/memory.md': '# Memory\n\n## Learnings\n' }, {
+    config: { paths: { planFile: './docs/plan.md', memoryFile: './docs/memory.md' } }
+  });
+  t.after(() => project.remove());
+  project.script([completingLoop(null, [{ savePrompt: '../prompt.txt' }])]);
+
+  const result = project.run(['--once']);
+  assert.equal(result.code, 0, result.output);
+  assert.match(project.read('docs/plan.md'), /- \[x\] first task/);
+  const prompt = fs.readFileSync(`${project.root}/prompt.txt`, 'utf8');
+  const cwd = fs.realpathSync(project.dir);
+  assert.ok(prompt.includes(`IMPLEMENTATION PLAN: ./docs/plan.md (YOU ALREADY HAVE THIS IN YOUR CONTEXT)`), prompt);
+  assert.ok(prompt.includes(`file_path: ${cwd}/docs/plan.md\n`), prompt);
+  assert.ok(prompt.includes('- ALWAYS update ./docs/plan.md with Edit tool'), prompt);
+  assert.ok(prompt.includes('- Config: ./.agent/prompt.md, ./docs/memory.md, ./docs/plan.md'), prompt);
+  assert.doesNotMatch(prompt, /\.agent\/(planning|memory)\.md/);
+});
+
+test('prompts in .agent/prompts override the shipped ones and can include each other', (t) => {
+  const project = withPrompts({
+    '.agent/prompts/loop_prompt.md': 'Iteration {{iteration}}: {{task.text}}{{#if lastFailure}} (retry){{else}}{{#if task.section}} [{{task.section}}]{{/if}}{{/if}}\n{{> rules}}',
+    '.agent/prompts/rules.md': 'Run {{testCommand}} in {{paths.planFile}}.\n'
+  }, { plan: PLAN, config: { commands: { test: 'make test' } } });
+  t.after(() => project.remove());
+  project.script([completingLoop(null, [{ savePrompt: '../prompt.txt' }])]);
+
+  const result = project.run(['--until-success'], { env: { RALPHIO_MAX_ITERATIONS: '1' } });
+  assert.equal(result.code, 2, result.output);
+  assert.match(result.output, /Using \.agent\/prompts\/loop_prompt\.md instead of the shipped loop_prompt\.md/);
+  assert.equal(fs.readFileSync(`${project.root}/prompt.txt`, 'utf8'), 'Iteration 1: first task (1 story) [Backend]\nRun make test in ./.agent/planning.md.\n');
+
+  const listing = project.run(['prompts']);
+  assert.equal(listing.code, 0, listing.output);
+  assert.match(listing.output, /loop_prompt\.md +project +every loop/);
+  assert.match(listing.output, /resume_prompt\.md +shipped/);
+  assert.match(listing.output, /rules\.md +project +include/);
+});
+
+test('a broken template fails the loop and names the file', (t) => {
+  const project = withPrompts({ '.agent/prompts/loop_prompt.md': '{{#if task}}{{task.text}}\n{{> loop_prompt}}{{/if}}' });
+  t.after(() => project.remove());
+  project.script([completingLoop()]);
+
+  const result = project.run(['--once']);
+  assert.equal(result.code, 1, result.output);
+  assert.match(result.output, /\.agent\/prompts\/loop_prompt\.md: Include cycle: loop_prompt\.md > loop_prompt\.md/);
+
+  project.write('.agent/prompts/loop_prompt.md', '{{#if task}}unclosed');
+  assert.match(project.run(['--once']).output, /\.agent\/prompts\/loop_prompt\.md: \{\{#if task\}\} is never closed with \{\{\/if\}\}/);
+});
+
+test('prompts eject copies a shipped prompt for editing', (t) => {
+  const project = createProject({ plan: PLAN });
+  t.after(() => project.remove());
+
+  const result = project.run(['prompts', 'eject', 'expand_task_prompt']);
+  assert.equal(result.code, 0, result.output);
+  assert.equal(project.read('.agent/prompts/expand_task_prompt.md'), fs.readFileSync(`${__dirname}/../src/prompts/expand_task_prompt.md`, 'utf8'));
+  assert.match(project.run(['prompts', 'eject', 'expand_task_prompt']).output, /already exists/);
+  assert.equal(project.run(['prompts', 'eject', 'nope']).code, 1);
+});
@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createProject, completingLoop } = require('./helpers');
+
+const PLAN = '# Plan\n- [x] first task\n- [ ] second task\n- [ ] third task\n';
+
+// A loop that ticks its task and then leaves a request in the control file, as the dashboard would
+const requestingLoop = (match, control) => completingLoop(match, [{ run: `echo '${JSON.stringify(control)}' > .agent/control.json` }]);
+
+// Read an SSE stream until `count` events came in
+async function readEvents(url, count) {
+  const controller = new AbortController();
+  const response = await fetch(url, { signal: controller.signal });
+  const decoder = new TextDecoder();
+  let text = '';
+  for await (const chunk of response.body) {
+    text += decoder.decode(chunk);
+    if (text.split('\n\n').filter(block => block.startsWith('data: ')).length >= count) break;
+  }
+  controller.abort();
+  return text.split('\n\n').filter(block => block.startsWith('data: ')).map(block => JSON.parse(block.slice(6)));
+}
+
+test('ralphio serve reports the run and turns button presses into control requests', async (t) => {
+  const project = createProject({ plan: PLAN });
+  t.after(() => project.remove());
+  project.write('.agent/logs/events.ndjson', '{"type":"run_start","mode":"until-success"}\n{"type":"text","text":"hello"}\n');
+
+  const server = project.start(['serve', '--port', '0']);
+  t.after(() => server.child.kill('SIGTERM'));
+  const [, url] = await server.waitFor(/RALPHIO dashboard: (http:\/\/127\.0\.0\.1:\d+)/);
+  const control = (body, contentType = 'application/json') => fetch(`${url}/api/control`, {
+    method: 'POST',
+    headers: { 'Content-Type': contentType },
+    body: JSON.stringify(body)
+  });
+
+  const page = await fetch(url);
+  assert.equal(page.status, 200);
+  assert.match(await page.text(), /<title>RALPHIO<\/title>/);
+
+  const status = await (await fetch(`${url}/api/status`)).json();
+  assert.deepEqual(status.tasks, { total: 3, done: 1, remaining: 2, brokenDown: 0, blocked: 0 });
+  assert.deepEqual(status.taskList.map(task => [task.id, task.status, task.skipped]), [['1', 'done', false], ['2', 'todo', false], ['3', 'todo', false]]);
+  assert.deepEqual(status.control, { paused: false, stop: false, skip: [] });
+
+  assert.equal((await control({ action: 'pause' })).status, 200);
+  const skipped = await control({ action: 'skip', taskId: '2' });
+  assert.equal(skipped.status, 200);
+  assert.deepEqual((await skipped.json()).skip, ['second task']);
+  const { paused, stop, skip } = project.readJson('.agent/control.json');
+  assert.deepEqual({ paused, stop, skip }, { paused: true, stop: false, skip: ['second task'] });
+  assert.equal((await (await fetch(`${url}/api/status`)).json()).taskList[1].skipped, true);
+
+  const unknown = await control({ action: 'explode' });
+  assert.equal(unknown.status, 400);
+  assert.match((await unknown.json()).error, /Unknown action "explode"/);
+  assert.equal((await control({ action: 'skip', taskId: '9' })).status, 400);
+  assert.equal((await control({ action: 'stop' }, 'text/plain')).status, 415, 'only JSON requests are accepted');
+  assert.equal(project.readJson('.agent/control.json').stop, false);
+
+  assert.deepEqual(await readEvents(`${url}/api/events`, 2), [{ type: 'run_start', mode: 'until-success' }, { type: 'text', text: 'hello' }]);
+});
+
+test('a stop request ends the run after the current iteration with exit code 5', (t) => {
+  const project = createProject({ plan: PLAN });
+  t.after(() => project.remove());
+  project.write('.agent/control.json', '{"stop":true}');
+  project.script([requestingLoop('second task', { stop: true }), completingLoop('third task')]);
+
+  const result = project.run(['--until-success', '--output', 'json']);
+  assert.equal(result.code, 5, result.output);
+  assert.match(result.output, /RUN STOPPED at iteration 2/);
+  assert.deepEqual(project.subjects().slice(0, 1), ['chore: second task'], 'the stale stop request of an earlier run was ignored');
+
+  const events = result.stdout.trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(events.filter(event => event.type === 'control').map(event => event.action), ['stop']);
+  const end = events.at(-1);
+  assert.deepEqual([end.type, end.exitCode, end.outcome], ['run_end', 5, 'stopped']);
+  assert.equal(project.readJson('.agent/state.json').checkpoint.stoppedBy, 'dashboard');
+
+  project.script([completingLoop('third task')]);
+  const resumed = project.run(['--until-success']);
+  assert.equal(resumed.code, 0, resumed.output);
+  assert.match(resumed.output, /Continuing the run interrupted by dashboard/);
+});
+
+test('pausing holds the next loop back until the run is resumed', async (t) => {
+  const project = createProject({ plan: PLAN });
+  t.after(() => project.remove());
+  project.script([requestingLoop('second task', { paused: true }), completingLoop('third task')]);
+
+  const run = project.start(['--until-success']);
+  await run.waitFor(/Paused from the dashboard/);
+  assert.equal(project.artifacts().length, 1);
+  project.write('.agent/control.json', '{"paused":false}');
+  const { code, output } = await run.exited;
+  assert.equal(code, 0, output);
+  assert.match(output, /Resumed from the dashboard/);
+  assert.equal(project.artifacts().length, 2);
+});
+
+test('skipped tasks stay open and end the run with exit code 4', (t) => {
+  const project = createProject({ plan: '# Plan\n- [ ] first task\n- [ ] second task\n- [ ] third task\n' });
+  t.after(() => project.remove());
+  project.script([requestingLoop('first task', { skip: ['third task'] }), completingLoop('second task')]);
+
+  const result = project.run(['--until-success']);
+  assert.equal(result.code, 4, result.output);
+  assert.match(result.output, /Skipping task \(dashboard\): third task/);
+  assert.match(result.output, /FINISHED WITH SKIPPED TASKS: the 1 ready tasks left were skipped/);
+  assert.match(project.read('.agent/planning.md'), /- \[ \] third task/);
+  assert.equal(project.artifacts().length, 2);
+});